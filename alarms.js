@@ -0,0 +1,188 @@
+/*
+ * alarms.js
+ *
+ * Alarm rules of the plotting page (script.js) and their persisted
+ * history. Each motor's newest readings are checked against the rules
+ * of the settings (see Settings.getAlarmRules): below a temperature,
+ * falling faster than a rate, or no reading for some minutes. An alarm
+ * stays open in the history from the first check that finds its
+ * condition until the first one that no longer does, and can be
+ * acknowledged meanwhile. Entries are stamped with the time of the
+ * readings, not of the check. The history and the silence period live in
+ * localStorage, so open alarms survive a reload without being raised
+ * again.
+ *
+ * The API is exposed on window.Alarms.
+ */
+
+(function () {
+
+  const HISTORY_KEY = 'alarmHistory';
+  const SILENCE_KEY = 'alarmsSilencedUntil';
+  // Oldest entries are dropped beyond this many
+  const MAX_HISTORY = 500;
+
+  // Names of the alarm types, as shown to the user
+  const ALARM_LABELS = {
+    below: 'Abaixo do limite',
+    falling: 'Queda rápida',
+    noData: 'Sem dados'
+  };
+
+  /**
+   * Alarm conditions of one motor at a given time.
+   *
+   * @param {Array<{t:number,value:number,fault?:string}>} dataArr sorted by time
+   * @param {{ belowTemp: number, fallRatePerHour: number, fallWindowMinutes: number, noDataMinutes: number }} rules
+   * @param {number} now time the readings are judged at: the clock in
+   *   live mode or for a dataset with recent readings
+   * @returns {Array<{type: string, message: string, t: number}>} t is
+   *   when the condition began as far as the readings tell: the reading
+   *   that broke the rule, or the moment the motor had been silent for
+   *   noDataMinutes
+   */
+  function evaluate(dataArr, rules, now) {
+    const conditions = [];
+    if (dataArr.length === 0) return conditions;
+    const silentMs = now - dataArr[dataArr.length - 1].t;
+    if (rules.noDataMinutes > 0 && silentMs > rules.noDataMinutes * 60000) {
+      conditions.push({
+        type: 'noData',
+        message: `sem leitura há ${Math.round(silentMs / 60000)} min`,
+        t: dataArr[dataArr.length - 1].t + rules.noDataMinutes * 60000
+      });
+    }
+    // Readings flagged as sensor faults (see detectFaults) are ignored
+    const good = dataArr.filter(p => !p.fault);
+    if (good.length === 0) return conditions;
+    const last = good[good.length - 1];
+    if (last.value < rules.belowTemp) {
+      conditions.push({ type: 'below', message: `${last.value.toFixed(1)} °C, abaixo de ${rules.belowTemp} °C`, t: last.t });
+    }
+    if (rules.fallRatePerHour > 0) {
+      const windowMs = rules.fallWindowMinutes * 60000;
+      const first = good.find(p => p.t >= last.t - windowMs);
+      // Only judged over at least half the window, so two close samples do not alarm
+      if (last.t - first.t >= windowMs / 2) {
+        const rate = (first.value - last.value) / ((last.t - first.t) / 3600000);
+        if (rate > rules.fallRatePerHour) {
+          conditions.push({ type: 'falling', message: `caindo ${rate.toFixed(1)} °C/h (limite ${rules.fallRatePerHour} °C/h)`, t: last.t });
+        }
+      }
+    }
+    return conditions;
+  }
+
+  /**
+   * The stored alarm history, oldest first.
+   *
+   * @returns {Array<{id: string, motorId: number, type: string, message: string, raisedAt: number, clearedAt: number|null, acknowledgedAt: number|null}>}
+   */
+  function history() {
+    try {
+      return JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
+    } catch (ex) {
+      console.error('Erro ao ler o histórico de alarmes', ex);
+      return [];
+    }
+  }
+
+  /**
+   * Persist the history, keeping the newest MAX_HISTORY entries.
+   *
+   * @param {Array<object>} entries
+   */
+  function saveHistory(entries) {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(entries.slice(-MAX_HISTORY)));
+  }
+
+  /**
+   * Bring the history in line with the conditions found now: open an
+   * entry for every new condition, raised at the condition's own time,
+   * update the message of the ones still open and close those whose
+   * condition is gone.
+   *
+   * @param {Array<{motorId: number, type: string, message: string, t: number}>} conditions
+   *   see evaluate
+   * @param {number} clearedAt time of the newest reading checked, when
+   *   the conditions that are gone were last seen over
+   * @returns {{ active: Array<object>, raised: Array<object> }} open
+   *   entries, and those among them opened by this call
+   */
+  function reconcile(conditions, clearedAt) {
+    const entries = history();
+    const open = entries.filter(e => e.clearedAt === null);
+    const raised = [];
+    const active = conditions.map(c => {
+      let entry = open.find(e => e.motorId === c.motorId && e.type === c.type);
+      if (entry) {
+        entry.message = c.message;
+      } else {
+        entry = { id: `${c.t}-${c.motorId}-${c.type}`, motorId: c.motorId, type: c.type, message: c.message,
+          raisedAt: c.t, clearedAt: null, acknowledgedAt: null };
+        entries.push(entry);
+        raised.push(entry);
+      }
+      return entry;
+    });
+    open.forEach(e => {
+      if (!active.includes(e)) e.clearedAt = Math.max(clearedAt, e.raisedAt);
+    });
+    saveHistory(entries);
+    return { active, raised };
+  }
+
+  /**
+   * Mark open alarms as acknowledged.
+   *
+   * @param {string[]|null} ids entries to acknowledge, null for all open ones
+   */
+  function acknowledge(ids) {
+    const now = Date.now();
+    const entries = history();
+    entries.forEach(e => {
+      if (e.clearedAt === null && e.acknowledgedAt === null && (ids === null || ids.includes(e.id))) {
+        e.acknowledgedAt = now;
+      }
+    });
+    saveHistory(entries);
+  }
+
+  /**
+   * Delete the closed entries of the history; open alarms are kept.
+   */
+  function clearHistory() {
+    saveHistory(history().filter(e => e.clearedAt === null));
+  }
+
+  /**
+   * Silence sound and notifications for a while, or end the silence.
+   *
+   * @param {number} minutes 0 to end it
+   */
+  function silence(minutes) {
+    if (minutes > 0) localStorage.setItem(SILENCE_KEY, String(Date.now() + minutes * 60000));
+    else localStorage.removeItem(SILENCE_KEY);
+  }
+
+  /**
+   * End of the current silence period.
+   *
+   * @returns {number|null} null when not silenced
+   */
+  function silencedUntil() {
+    const until = parseInt(localStorage.getItem(SILENCE_KEY), 10);
+    return !isNaN(until) && until > Date.now() ? until : null;
+  }
+
+  window.Alarms = {
+    ALARM_LABELS,
+    evaluate,
+    history,
+    reconcile,
+    acknowledge,
+    clearHistory,
+    silence,
+    silencedUntil
+  };
+})();
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+/*
+ * cli.js
+ *
+ * Command line version of the plotting page's metrics, for scheduled
+ * jobs that should not need a browser. It reads historian CSV exports
+ * with the same modules the pages use (file_import.js, data_parser.js,
+ * metrics.js) and prints the per-motor availability and savings as
+ * JSON or as the CSV report of the plotting page. Needs Node 18 or
+ * later; PapaParse is the copy in vendor/.
+ *
+ * Usage:
+ *   node cli.js [opções] arquivo.csv [arquivo2.csv ...]
+ *
+ *   --heaters arquivo.json    heater periods in the exports' time zone, e.g.
+ *                             [{"motor": 7, "from": "2025-10-01T08:00", "to": null}]
+ *   --price 5.30              one diesel price (R$/L) for the whole range
+ *   --prices arquivo.json     dated price table, e.g. [{"from": "2025-01-01", "price": 5.30}]
+ *   --consumption 6.30        plant-wide diesel consumption (L/h)
+ *   --settings arquivo.json   settings in the shape saved by settings.html
+ *   --plant arquivo.json      plant configuration (default: plant.json next to this file)
+ *   --from, --to              range in the exports' time zone, e.g. 2025-10-01T00:00
+ *                             (default: all data)
+ *   --date-format fmt         auto, dmy, mdy or iso (default: auto)
+ *   --time-zone zona          time zone of the exports, which the heater periods, the
+ *                             range, the price dates and the peak hours also follow
+ *                             (default: America/Recife)
+ *   --format json|csv         output format (default: json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Plant = require('./plant.js');
+const Settings = require('./settings.js');
+const FileImport = require('./file_import.js');
+const DataParser = require('./data_parser.js');
+const Metrics = require('./metrics.js');
+const Report = require('./report.js');
+
+// Command line options that take a value, and the argument they fill
+const OPTIONS = {
+  '--heaters': 'heaters',
+  '--price': 'price',
+  '--prices': 'prices',
+  '--consumption': 'consumption',
+  '--settings': 'settings',
+  '--plant': 'plant',
+  '--from': 'from',
+  '--to': 'to',
+  '--date-format': 'dateFormat',
+  '--time-zone': 'timeZone',
+  '--format': 'format'
+};
+
+/**
+ * Read the command line arguments.
+ *
+ * @param {string[]} argv arguments after the script name
+ * @returns {object}
+ * @throws {Error} on an unknown option or a missing value
+ */
+function parseArgs(argv) {
+  const args = { files: [], dateFormat: 'auto', timeZone: 'America/Recife', format: 'json' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      const key = OPTIONS[arg];
+      if (!key) throw new Error(`Opção desconhecida: ${arg}`);
+      if (i + 1 >= argv.length) throw new Error(`Falta o valor de ${arg}`);
+      args[key] = argv[++i];
+    } else {
+      args.files.push(arg);
+    }
+  }
+  if (!['json', 'csv'].includes(args.format)) throw new Error(`Formato de saída inválido: ${args.format}`);
+  if (!['auto', 'dmy', 'mdy', 'iso'].includes(args.dateFormat)) throw new Error(`Formato de data inválido: ${args.dateFormat}`);
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: args.timeZone });
+  } catch (ex) {
+    throw new Error(`Fuso horário inválido: ${args.timeZone}`);
+  }
+  return args;
+}
+
+/**
+ * Read and parse a JSON file.
+ *
+ * @param {string} file
+ * @returns {*}
+ * @throws {Error} naming the file when it cannot be read or parsed
+ */
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (ex) {
+    throw new Error(`Não foi possível ler ${file}: ${ex.message}`);
+  }
+}
+
+/**
+ * Parse a number argument.
+ *
+ * @param {string} value
+ * @param {string} option name for the error message
+ * @returns {number}
+ * @throws {Error} when the value is not a non-negative number
+ */
+function parseNumber(value, option) {
+  const number = parseFloat(String(value).replace(',', '.'));
+  if (isNaN(number) || number < 0) throw new Error(`Valor inválido para ${option}: ${value}`);
+  return number;
+}
+
+/**
+ * Parse a date and time argument into a timestamp. Dates written
+ * without a UTC offset, e.g. 2025-10-01T08:00, are read on the clock of
+ * the given time zone rather than the machine's.
+ *
+ * @param {string|number|null} value
+ * @param {string} what name for the error message
+ * @param {string} timeZone IANA name, see --time-zone
+ * @returns {number|null} null for null or empty values
+ * @throws {Error} when the value is not a date
+ */
+function parseTime(value, what, timeZone) {
+  if (value === null || value === undefined || value === '') return null;
+  const zoneless = String(value).trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?))?$/);
+  let t;
+  if (typeof value === 'number') {
+    t = value;
+  } else if (zoneless) {
+    t = DataParser.parseTimestamp(zoneless[1], zoneless[2] || '00:00', 'iso', timeZone);
+  } else {
+    t = new Date(value).getTime();
+  }
+  if (t === null || isNaN(t)) throw new Error(`Data inválida em ${what}: ${value}`);
+  return t;
+}
+
+/**
+ * Plant configuration from --plant, else plant.json next to this file,
+ * else the built-in one.
+ *
+ * @param {string} [file]
+ * @returns {object}
+ */
+function loadPlant(file) {
+  const defaultFile = path.join(__dirname, 'plant.json');
+  if (file) return Plant.normalise(readJSON(file));
+  return Plant.normalise(fs.existsSync(defaultFile) ? readJSON(defaultFile) : Plant.fallback());
+}
+
+/**
+ * Settings from --settings with --price, --prices and --consumption
+ * applied on top.
+ *
+ * @param {object} args
+ * @param {object} plant
+ * @returns {object}
+ */
+function loadSettings(args, plant) {
+  const settings = Settings.merge(args.settings ? readJSON(args.settings) : null, plant);
+  if (args.prices) {
+    const prices = readJSON(args.prices);
+    if (!Array.isArray(prices) || prices.length === 0) throw new Error(`${args.prices} deve conter uma lista de preços`);
+    settings.diesel.prices = prices.map(p => ({ from: String(p.from), price: parseNumber(p.price, args.prices) }));
+  }
+  if (args.price !== undefined) {
+    // The oldest price also covers earlier data, so one entry covers everything
+    settings.diesel.prices = [{ from: '2000-01-01', price: parseNumber(args.price, '--price') }];
+  }
+  if (args.consumption !== undefined) {
+    settings.diesel.consumption = parseNumber(args.consumption, '--consumption');
+  }
+  return settings;
+}
+
+/**
+ * Heater periods from --heaters.
+ *
+ * @param {string} [file]
+ * @param {string} timeZone see parseTime
+ * @returns {Array<{motor: number, from: number|null, to: number|null}>}
+ */
+function loadHeaterPeriods(file, timeZone) {
+  if (!file) return [];
+  const periods = readJSON(file);
+  if (!Array.isArray(periods)) throw new Error(`${file} deve conter uma lista de períodos`);
+  return periods.map((p, i) => {
+    const motor = parseInt(p.motor, 10);
+    if (isNaN(motor)) throw new Error(`${file}: período ${i + 1} sem motor`);
+    return { motor, from: parseTime(p.from, file, timeZone), to: parseTime(p.to, file, timeZone) };
+  });
+}
+
+/**
+ * Read a CSV export with the column mapping the data entry page would
+ * detect for it.
+ *
+ * @param {string} file
+ * @param {object} plant
+ * @returns {{name: string, encoding: string, delimiter: string, rows: Array<object>, mapping: object}}
+ * @throws {Error} for workbooks and files without a date column
+ */
+function readExport(file, plant) {
+  if (/\.xlsx?$/i.test(file)) {
+    throw new Error(`${file}: planilhas XLSX não são lidas na linha de comando, exporte o arquivo em CSV`);
+  }
+  const { text, encoding } = FileImport.decodeText(fs.readFileSync(file));
+  const delimiter = FileImport.detectDelimiter(text);
+  const { fields } = FileImport.parseRows(text, delimiter, 1);
+  const mapping = FileImport.detectMapping(fields, plant);
+  if (!mapping.date) throw new Error(`${file}: coluna de data não encontrada`);
+  return { name: path.basename(file), encoding, delimiter, rows: FileImport.parseRows(text, delimiter).rows, mapping };
+}
+
+/**
+ * Compute the report for the given arguments.
+ *
+ * @param {object} args see parseArgs
+ * @returns {{from: number, to: number, files: Array<object>, quality: object, motors: Array<object>, totals: object}}
+ */
+function run(args) {
+  if (args.files.length === 0) throw new Error('Informe ao menos um arquivo CSV');
+  const plant = loadPlant(args.plant);
+  const settings = loadSettings(args, plant);
+  const heaterPeriods = loadHeaterPeriods(args.heaters, args.timeZone);
+  const exports = args.files.map(file => readExport(file, plant));
+  const { tagData, minTime, maxTime, stats, quality } = DataParser.buildDataStructure(
+    exports.map(e => e.rows),
+    exports.map(e => ({ dateFormat: args.dateFormat, timeZone: args.timeZone, mapping: e.mapping })),
+    plant
+  );
+  if (minTime > maxTime) throw new Error('Nenhuma linha com data e hora válidas nos arquivos');
+  const from = parseTime(args.from, '--from', args.timeZone) || minTime;
+  const to = parseTime(args.to, '--to', args.timeZone) || maxTime;
+  if (to <= from) throw new Error('O fim do intervalo deve ser posterior ao início');
+
+  const tag = settings.tags.availability;
+  const motors = [];
+  const totals = { availabilityMs: 0, economiaLitros: 0, economiaRS: 0, energiaKWh: 0, custoEnergia: 0, economiaLiquida: 0 };
+  plant.units.forEach(unit => {
+    const series = tagData[unit.id] && tagData[unit.id][tag];
+    if (!series || series.length === 0) return;
+    Metrics.detectFaults(series, settings.faultDetection, settings.dataQuality.maxGapMinutes * 60000);
+    const options = Metrics.metricsOptions(settings, heaterPeriods, unit.id, from, to, args.timeZone);
+    const metrics = Metrics.computeMetrics(series, from, to, options);
+    motors.push(Object.assign({ motor: unit.id, name: unit.name, heater: options.heaterIntervals.length > 0 }, metrics));
+    Object.keys(totals).forEach(key => {
+      totals[key] += metrics[key];
+    });
+  });
+  return {
+    from,
+    to,
+    files: exports.map((e, i) => Object.assign({ name: e.name, encoding: e.encoding, delimiter: e.delimiter }, stats[i])),
+    quality: {
+      invalidDates: quality.invalidDates.count,
+      invalidValues: quality.invalidValues.count,
+      duplicates: quality.duplicates.count
+    },
+    motors,
+    totals
+  };
+}
+
+/**
+ * Write the report to standard output.
+ *
+ * @param {object} report see run
+ * @param {string} format 'json' or 'csv'
+ */
+function print(report, format) {
+  if (format === 'csv') {
+    const rows = report.motors.map(m => Metrics.reportRow(m.name, m.heater, m));
+    process.stdout.write(Report.toCSV(Metrics.REPORT_HEADERS, rows) + '\r\n');
+    return;
+  }
+  const output = Object.assign({}, report, {
+    from: new Date(report.from).toISOString(),
+    to: new Date(report.to).toISOString()
+  });
+  process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+}
+
+/**
+ * Entry point: errors go to standard error with exit code 1.
+ */
+function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+      // The usage notes at the top of this file
+      const source = fs.readFileSync(__filename, 'utf8');
+      process.stdout.write(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, '') + '\n');
+      return;
+    }
+    print(run(args), args.format);
+  } catch (ex) {
+    console.error(`Erro: ${ex.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs, run };
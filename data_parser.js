@@ -0,0 +1,348 @@
+/*
+ * data_parser.js
+ *
+ * Turning stored historian files into time series: date and time
+ * parsing (with per-file date format detection and source time zone)
+ * and the merge of every parsed table into one series per motor and
+ * tag, with the data quality report. It runs inside parse_worker.js so
+ * that large datasets do not freeze the plotting page, and on the page
+ * itself when workers are unavailable.
+ *
+ * The API is exposed on window.DataParser in the browser and as the
+ * module's exports in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./plant.js'), require('./file_import.js'));
+  } else {
+    root.DataParser = factory(root.Plant, root.FileImport);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Plant, FileImport) {
+
+  // Rows between two progress reports of buildDataStructure
+  const PROGRESS_ROWS = 5000;
+
+  /**
+   * Split a date string into its three numeric parts.
+   *
+   * @param {string} dateStr
+   * @returns {number[]|null}
+   */
+  function splitDate(dateStr) {
+    if (!dateStr) return null;
+    const parts = String(dateStr).trim().split(/[\/\-.]/);
+    if (parts.length < 3) return null;
+    const nums = parts.slice(0, 3).map(p => parseInt(p, 10));
+    return nums.some(isNaN) ? null : nums;
+  }
+
+  /**
+   * Turn the parts of a date into year, month and day according to a
+   * known format. Year values less than 100 are treated as 2000+year.
+   *
+   * @param {number[]} parts
+   * @param {string} format 'dmy', 'mdy' or 'iso'
+   * @returns {{ year: number, month: number, day: number }|null}
+   */
+  function orderDateParts(parts, format) {
+    let day, month, year;
+    if (format === 'iso') {
+      [year, month, day] = parts;
+    } else if (format === 'dmy') {
+      [day, month, year] = parts;
+    } else {
+      [month, day, year] = parts;
+    }
+    if (year < 100) {
+      year += 2000;
+    }
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return { year, month, day };
+  }
+
+  /**
+   * Detect the date format used by a whole file. A four digit first
+   * part means ISO. Otherwise any day above 12 settles the order; if
+   * the file has both kinds (or none), the order under which the rows
+   * run forward in time most consistently wins. Ties fall back to
+   * mm/dd/yy, the historian's default export.
+   *
+   * @param {string[]} dateStrings
+   * @returns {string} 'dmy', 'mdy' or 'iso'
+   */
+  function detectDateFormat(dateStrings) {
+    const rows = dateStrings.map(splitDate).filter(p => p !== null);
+    if (rows.length === 0) return 'mdy';
+    if (rows.every(p => p[0] > 31)) return 'iso';
+    const firstOver12 = rows.some(p => p[0] > 12);
+    const secondOver12 = rows.some(p => p[1] > 12);
+    if (firstOver12 && !secondOver12) return 'dmy';
+    if (secondOver12 && !firstOver12) return 'mdy';
+    // Count how often consecutive dates go backwards under each reading
+    const backwards = format => {
+      let count = 0;
+      let prev = null;
+      rows.forEach(p => {
+        const d = orderDateParts(p, format);
+        if (!d) {
+          count++;
+          return;
+        }
+        const key = d.year * 10000 + d.month * 100 + d.day;
+        if (prev !== null && key < prev) count++;
+        prev = key;
+      });
+      return count;
+    };
+    return backwards('dmy') < backwards('mdy') ? 'dmy' : 'mdy';
+  }
+
+  // Intl formatters are expensive to create, keep one per time zone
+  const zoneFormatters = {};
+
+  /**
+   * Offset in milliseconds between a time zone's wall clock and UTC at
+   * the given instant.
+   *
+   * @param {number} t
+   * @param {string} timeZone IANA name, e.g. 'America/Recife'
+   * @returns {number}
+   */
+  function zoneOffset(t, timeZone) {
+    if (!zoneFormatters[timeZone]) {
+      zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+    const values = {};
+    zoneFormatters[timeZone].formatToParts(new Date(t)).forEach(part => {
+      values[part.type] = parseInt(part.value, 10);
+    });
+    const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+    return asUtc - Math.floor(t / 1000) * 1000;
+  }
+
+  /**
+   * Timestamp of a wall clock time in a time zone.
+   *
+   * @param {number} wall the wall clock time written as if it were UTC,
+   *   e.g. Date.UTC(2025, 9, 13, 6, 0) for 13/10/2025 06:00
+   * @param {string} [timeZone] IANA name; 'local' or missing uses the
+   *   browser's time zone
+   * @returns {number}
+   */
+  function zonedTime(wall, timeZone) {
+    if (!timeZone || timeZone === 'local') {
+      const d = new Date(wall);
+      return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(),
+        d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds()).getTime();
+    }
+    // Shift by the zone's offset; the second pass fixes instants right
+    // next to a DST change
+    const t = wall - zoneOffset(wall, timeZone);
+    return wall - zoneOffset(t, timeZone);
+  }
+
+  /**
+   * Convert a date and time string into a JavaScript timestamp.
+   *
+   * @param {string} dateStr
+   * @param {string} timeStr e.g. '13:05', '13:05:30' or '13:05:30.250'
+   * @param {string} format 'dmy', 'mdy' or 'iso' (see detectDateFormat)
+   * @param {string} [timeZone] IANA zone the export was written in;
+   *   'local' or missing uses the browser's time zone
+   * @returns {number|null} timestamp in milliseconds or null on failure
+   */
+  function parseTimestamp(dateStr, timeStr, format, timeZone) {
+    if (!dateStr || !timeStr) return null;
+    const parts = splitDate(dateStr);
+    if (!parts) return null;
+    const date = orderDateParts(parts, format);
+    if (!date) return null;
+    const tm = String(timeStr).trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,3}))?)?$/);
+    if (!tm) return null;
+    const hh = parseInt(tm[1], 10);
+    const mi = parseInt(tm[2], 10);
+    const ss = tm[3] ? parseInt(tm[3], 10) : 0;
+    const ms = tm[4] ? parseInt(tm[4].padEnd(3, '0'), 10) : 0;
+    if (hh > 23 || mi > 59 || ss > 59) return null;
+    const t = zonedTime(Date.UTC(date.year, date.month - 1, date.day, hh, mi, ss, ms), timeZone);
+    return isNaN(t) ? null : t;
+  }
+
+  /**
+   * Source time zone of a dataset: that of its newest file, since an
+   * upload applies one zone to all its files. The metrics read the
+   * dated diesel prices and the tariff's peak hours on its clock, as
+   * the command line tool does with --time-zone.
+   *
+   * @param {Array<{timeZone?: string}>} files in upload order
+   * @returns {string} IANA name, or 'local' for the browser's zone
+   */
+  function datasetTimeZone(files) {
+    const last = files[files.length - 1];
+    return last && last.timeZone ? last.timeZone : 'local';
+  }
+
+  /**
+   * Read the date and time strings of a CSV row. Files imported with a
+   * column mapping use it (see file_import.js); for older uploads the
+   * column names may begin with a dollar sign depending on export.
+   *
+   * @param {object} row
+   * @param {object} [mapping]
+   * @returns {{ dateStr: string, timeStr: string }}
+   */
+  function getRowDateTime(row, mapping) {
+    if (mapping) return FileImport.rowDateTime(row, mapping);
+    return {
+      dateStr: row['$Date'] || row['Date'] || row['Data'] || row['data'] || '',
+      timeStr: row['$Time'] || row['Time'] || row['Hora'] || row['hora'] || ''
+    };
+  }
+
+  /**
+   * Build the motor data structure from an array of parsed CSV tables.
+   * Every tag of a motor gets its own series, tagData[motorId][tag].
+   * Each (motor, tag, timestamp) is kept only once: when a later table
+   * repeats a point with a different value the later value replaces
+   * the earlier one, identical repeats are skipped. The returned stats
+   * hold, for each table, how many points it added, replaced or skipped
+   * and the date format used to read it. The quality report counts rows
+   * dropped for an unparsable date/time, cells dropped for an
+   * unparsable value and duplicate timestamps, keeping the first few
+   * occurrences of each as samples.
+   *
+   * @param {Array<Array<object>>} tables
+   * @param {Array<{dateFormat?: string, timeZone?: string, mapping?: object}>} [tableOptions]
+   *   per table date format ('auto' or missing detects it from the
+   *   file's rows), source time zone and the column mapping chosen on
+   *   import (older uploads have none and are read by column name)
+   * @param {object} plant plant configuration (see plant.js), for the
+   *   tag pattern of unmapped files
+   * @param {function(number, number)} [onProgress] called now and then
+   *   with the rows read so far and the total
+   * @returns {{ tagData: object, tags: string[], minTime: number, maxTime: number, stats: Array<{added: number, replaced: number, skipped: number, dateFormat: string}>, quality: object }}
+   *   tags lists every tag found, sorted
+   */
+  function buildDataStructure(tables, tableOptions, plant, onProgress) {
+    const tagData = {};
+    // Position of each timestamp in tagData[motorId][tag], per series
+    const seen = {};
+    const stats = tables.map(() => ({ added: 0, replaced: 0, skipped: 0, dateFormat: null }));
+    const quality = {
+      invalidDates: { count: 0, samples: [] },
+      invalidValues: { count: 0, samples: [] },
+      duplicates: { count: 0, samples: [] }
+    };
+    let minTime = Infinity;
+    let maxTime = -Infinity;
+    const totalRows = tables.reduce((sum, table) => sum + table.length, 0);
+    let rowsDone = 0;
+    tables.forEach((table, tableIndex) => {
+      const tableStats = stats[tableIndex];
+      const options = (tableOptions && tableOptions[tableIndex]) || {};
+      const mapping = options.mapping || null;
+      let dateFormat = options.dateFormat;
+      if (!dateFormat || dateFormat === 'auto') {
+        dateFormat = detectDateFormat(table.map(row => getRowDateTime(row, mapping).dateStr));
+      }
+      tableStats.dateFormat = dateFormat;
+      table.forEach((row, rowIndex) => {
+        rowsDone++;
+        if (onProgress && rowsDone % PROGRESS_ROWS === 0) onProgress(rowsDone, totalRows);
+        // Line number in the file, counting the header as line 1
+        const line = rowIndex + 2;
+        const { dateStr, timeStr } = getRowDateTime(row, mapping);
+        const ts = parseTimestamp(dateStr, timeStr, dateFormat, options.timeZone);
+        if (ts === null) {
+          noteQualityIssue(quality.invalidDates, { table: tableIndex, line, dateStr, timeStr });
+          return;
+        }
+        if (ts < minTime) minTime = ts;
+        if (ts > maxTime) maxTime = ts;
+        Object.keys(row).forEach(col => {
+          // Skip non-motor columns
+          if (!mapping && /\$?(Date|Time|Data|Hora)/i.test(col)) return;
+          const cell = row[col];
+          if (cell === undefined || cell === null || cell === '') return;
+          // Extract motor number and tag: SCA07TE402PV => 07, TE402
+          const parsedTag = mapping ? mapping.columns[col] : Plant.parseColumn(plant, col);
+          if (!parsedTag) return;
+          // Convert value string to float, swapping comma for decimal point
+          const value = parseFloat(String(cell).replace(',', '.'));
+          if (isNaN(value)) {
+            noteQualityIssue(quality.invalidValues, { table: tableIndex, line, column: col, value: String(cell) });
+            return;
+          }
+          const { motorId, tag } = parsedTag;
+          if (!tagData[motorId]) {
+            tagData[motorId] = {};
+            seen[motorId] = {};
+          }
+          if (!tagData[motorId][tag]) {
+            tagData[motorId][tag] = [];
+            seen[motorId][tag] = new Map();
+          }
+          const series = tagData[motorId][tag];
+          const existing = seen[motorId][tag].get(ts);
+          if (existing === undefined) {
+            seen[motorId][tag].set(ts, series.length);
+            series.push({ t: ts, value: value });
+            tableStats.added++;
+          } else if (series[existing].value !== value) {
+            noteQualityIssue(quality.duplicates, { table: tableIndex, motor: motorId, tag, t: ts, replaced: true });
+            series[existing].value = value;
+            tableStats.replaced++;
+          } else {
+            noteQualityIssue(quality.duplicates, { table: tableIndex, motor: motorId, tag, t: ts, replaced: false });
+            tableStats.skipped++;
+          }
+        });
+      });
+    });
+    if (onProgress) onProgress(totalRows, totalRows);
+    // Sort each series by timestamp
+    const tags = new Set();
+    Object.keys(tagData).forEach(motorId => {
+      Object.keys(tagData[motorId]).forEach(tag => {
+        tagData[motorId][tag].sort((a, b) => a.t - b.t);
+        tags.add(tag);
+      });
+    });
+    return { tagData, tags: Array.from(tags).sort(), minTime, maxTime, stats, quality };
+  }
+
+  // Number of example occurrences kept per kind of data quality issue
+  const QUALITY_SAMPLE_LIMIT = 100;
+
+  /**
+   * Count a data quality issue, keeping the first occurrences as samples.
+   *
+   * @param {{count: number, samples: Array<object>}} bucket
+   * @param {object} sample
+   */
+  function noteQualityIssue(bucket, sample) {
+    bucket.count++;
+    if (bucket.samples.length < QUALITY_SAMPLE_LIMIT) {
+      bucket.samples.push(sample);
+    }
+  }
+
+  return {
+    detectDateFormat,
+    zoneOffset,
+    zonedTime,
+    parseTimestamp,
+    datasetTimeZone,
+    buildDataStructure
+  };
+});
@@ -1,152 +1,517 @@
 /*
  * data_script.js
  *
- * This script powers the data entry page (data.html). It dynamically
- * creates checkboxes for each of the 23 motors, reads the user
- * supplied CSV files when the “Carregar e Plotar” button is pressed,
- * and stores both the CSV contents and the selected heating flags
- * into localStorage. Once the data has been stored the page
- * redirects the visitor to index.html where the graph is rendered.
+ * This script powers the data entry page (data.html). It manages the
+ * list of electric heater periods (motor, installed from, removed at),
+ * reads the CSV or XLSX files dropped on the page (see file_import.js)
+ * and previews the detected date, time and motor columns so that the
+ * mapping can be corrected by hand. When the “Carregar e Plotar” button
+ * is pressed it stores the file contents, their column mapping and the
+ * heater periods as a new dataset in IndexedDB (see dataset_store.js).
+ * Once the data has been stored the page redirects the visitor to
+ * index.html where the graph is rendered. With “Adicionar ao conjunto
+ * atual” ticked the new files are merged into the dataset currently
+ * plotted instead of replacing it. The motor choices follow the plant
+ * configuration (see plant.js).
  */
 
 document.addEventListener('DOMContentLoaded', () => {
-  const heatingListEl = document.getElementById('heatingList');
+  const heaterPeriodsEl = document.getElementById('heaterPeriods');
+  // Source time zone of the exports, also used for the heater periods
+  const timeZoneInput = document.getElementById('timeZone');
+  // Plant configuration (units, groups, tag pattern), replaced by plant.json once read
+  let plant = Plant.fallback();
 
-  // On page load, set the displayed diesel price and consumption values based on localStorage if available
-  (function updateDieselDisplay() {
+  /**
+   * Show the diesel price history and consumption from the settings.
+   */
+  function updateDieselDisplay() {
+    const settings = Settings.load(plant);
     const priceSpan = document.getElementById('dieselPriceDisplayData');
     const consSpan = document.getElementById('dieselConsumptionDisplayData');
-    // Check localStorage for stored values
-    const storedPrice = parseFloat(localStorage.getItem('dieselPrice'));
-    const storedConsumption = parseFloat(localStorage.getItem('dieselConsumption'));
     if (priceSpan) {
-      if (!isNaN(storedPrice)) {
-        priceSpan.textContent = storedPrice.toFixed(2);
-      } else {
-        priceSpan.textContent = priceSpan.textContent || '5.30';
-      }
+      priceSpan.textContent = Settings.describePrices(settings);
     }
     if (consSpan) {
-      if (!isNaN(storedConsumption)) {
-        consSpan.textContent = storedConsumption.toFixed(2);
-      } else {
-        consSpan.textContent = consSpan.textContent || '6.30';
-      }
+      consSpan.textContent = Settings.describeConsumption(settings, plant);
     }
-  })();
-
-  // Generate checkboxes for UG#01 … UG#23
-  for (let motorId = 1; motorId <= 23; motorId++) {
-    const padded = motorId.toString().padStart(2, '0');
-    const container = document.createElement('div');
-    container.className = 'heating-item';
-
-    const checkbox = document.createElement('input');
-    checkbox.type = 'checkbox';
-    checkbox.id = `heat${motorId}`;
-    checkbox.dataset.motor = motorId;
-
-    const label = document.createElement('label');
-    label.htmlFor = `heat${motorId}`;
-    label.textContent = `UG#${padded}`;
-
-    container.appendChild(checkbox);
-    container.appendChild(label);
-    heatingListEl.appendChild(container);
   }
 
-  document.getElementById('submitData').addEventListener('click', () => {
-    // Retrieve files
-    const fileInputs = ['group1', 'group2', 'group3', 'group4'];
-    const files = {};
-    fileInputs.forEach(id => {
-      const input = document.getElementById(id);
-      files[id] = input.files.length > 0 ? input.files[0] : null;
-    });
+  /**
+   * Format a timestamp for a datetime-local input (wall clock of the
+   * source time zone, no seconds).
+   *
+   * @param {number|null} ms
+   * @param {string} timeZone IANA zone or 'local' for the browser's
+   * @returns {string}
+   */
+  function toInputValue(ms, timeZone) {
+    if (ms === null || ms === undefined) return '';
+    const offset = timeZone === 'local' ? -new Date(ms).getTimezoneOffset() * 60000 : DataParser.zoneOffset(ms, timeZone);
+    const d = new Date(ms + offset);
+    const p = n => String(n).padStart(2, '0');
+    return `${d.getUTCFullYear()}-${p(d.getUTCMonth() + 1)}-${p(d.getUTCDate())}T${p(d.getUTCHours())}:${p(d.getUTCMinutes())}`;
+  }
 
-    // If no files were provided at all we alert the user
-    const hasAnyFile = Object.values(files).some(f => f !== null);
-    if (!hasAnyFile) {
-      alert('Por favor, selecione pelo menos um arquivo CSV para carregar.');
-      return;
-    }
+  /**
+   * Timestamp of a datetime-local input value read in the source time
+   * zone, the same way the exports' dates are read.
+   *
+   * @param {string} value e.g. '2025-10-13T07:00'
+   * @param {string} timeZone IANA zone or 'local' for the browser's
+   * @returns {number|null} null when the input is empty
+   */
+  function fromInputValue(value, timeZone) {
+    const m = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+    if (!m) return null;
+    const wall = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]);
+    return DataParser.zonedTime(wall, timeZone);
+  }
 
-    // Read each file as text. Because FileReader is asynchronous
-    // we count pending reads and trigger proceed() once all complete.
-    const results = {};
-    let pending = 0;
+  /**
+   * Add one editable heater period row.
+   *
+   * @param {{motor: number, from: number|null, to: number|null}} [period]
+   */
+  function addPeriodRow(period) {
+    const row = document.createElement('tr');
+    const motorSelect = document.createElement('select');
+    motorSelect.className = 'period-motor';
+    // One option per unit of the plant configuration
+    plant.units.forEach(unit => {
+      const option = document.createElement('option');
+      option.value = unit.id;
+      option.textContent = unit.name;
+      motorSelect.appendChild(option);
+    });
+    const fromInput = document.createElement('input');
+    fromInput.type = 'datetime-local';
+    fromInput.className = 'period-from';
+    const toInput = document.createElement('input');
+    toInput.type = 'datetime-local';
+    toInput.className = 'period-to';
+    if (period) {
+      motorSelect.value = period.motor;
+      fromInput.value = toInputValue(period.from, timeZoneInput.value);
+      toInput.value = toInputValue(period.to, timeZoneInput.value);
+    }
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = 'Remover';
+    removeBtn.addEventListener('click', () => row.remove());
+    [motorSelect, fromInput, toInput, removeBtn].forEach(el => {
+      const cell = document.createElement('td');
+      cell.appendChild(el);
+      row.appendChild(cell);
+    });
+    heaterPeriodsEl.appendChild(row);
+  }
 
-    function readerLoaded(key, e) {
-      results[key] = e.target.result;
-      pending--;
-      if (pending === 0) {
-        proceed();
+  /**
+   * Read the heater periods from the editor in the source time zone.
+   * Rows whose removal is not after the installation are rejected.
+   *
+   * @returns {Array<{motor: number, from: number|null, to: number|null}>|null}
+   *   null when a row is invalid
+   */
+  function readPeriods() {
+    const periods = [];
+    const rows = Array.from(heaterPeriodsEl.querySelectorAll('tr'));
+    for (const row of rows) {
+      const motor = parseInt(row.querySelector('.period-motor').value, 10);
+      const fromValue = row.querySelector('.period-from').value;
+      const toValue = row.querySelector('.period-to').value;
+      const from = fromInputValue(fromValue, timeZoneInput.value);
+      const to = fromInputValue(toValue, timeZoneInput.value);
+      if (from !== null && to !== null && to <= from) {
+        alert(`${Plant.unitName(plant, motor)}: a data de remoção deve ser posterior à de instalação.`);
+        return null;
       }
+      periods.push({ motor, from, to });
     }
+    return periods;
+  }
 
-    function proceed() {
-      // Persist CSV contents into localStorage. Empty strings for missing files.
-      Object.keys(files).forEach(id => {
-        const content = results[id] || '';
-        try {
-          localStorage.setItem(id, content);
-        } catch (ex) {
-          console.error('Erro ao armazenar arquivo no localStorage', ex);
-        }
+  // Files read from the drop zone, waiting to be stored
+  let imports = [];
+  // Rows parsed from each file for the preview
+  const PREVIEW_ROWS = 3;
+
+  /**
+   * Upload group most of a file's motor columns belong to, or null when
+   * none of its motors is in the plant configuration.
+   *
+   * @param {{columns: Object<string, {motorId: number, tag: string}>}} mapping
+   * @returns {string|null}
+   */
+  function detectGroup(mapping) {
+    const counts = {};
+    Object.values(mapping.columns).forEach(({ motorId }) => {
+      const unit = Plant.getUnit(plant, motorId);
+      if (unit && unit.group) counts[unit.group] = (counts[unit.group] || 0) + 1;
+    });
+    const groups = Object.keys(counts);
+    if (groups.length === 0) return null;
+    return groups.reduce((best, group) => (counts[group] > counts[best] ? group : best));
+  }
+
+  /**
+   * Read dropped or picked files (see file_import.js), guess their
+   * column mapping and add them to the preview.
+   *
+   * @param {FileList|File[]} fileList
+   */
+  function addFiles(fileList) {
+    const files = Array.from(fileList);
+    if (files.length === 0) return;
+    Promise.all(files.map(file => FileImport.readFile(file)
+      .then(result => {
+        const { rows, fields } = FileImport.parseRows(result.text, result.delimiter, PREVIEW_ROWS);
+        // Data lines, without the header and blank lines
+        const lineCount = result.text.split(/\r?\n/).filter(line => line.trim().length > 0).length - 1;
+        return Object.assign(result, { fields, sample: rows, lineCount, mapping: FileImport.detectMapping(fields, plant) });
+      })
+      .catch(ex => {
+        console.error(`Erro ao ler o arquivo ${file.name}`, ex);
+        alert(`Erro ao ler o arquivo ${file.name}: ${ex && ex.message ? ex.message : ex}`);
+        return null;
+      })))
+      .then(results => {
+        imports = imports.concat(results.filter(entry => entry !== null));
+        renderPreview();
       });
-      // Persist heating selections
-      const heating = {};
-      for (let motorId = 1; motorId <= 23; motorId++) {
-        const chk = document.getElementById(`heat${motorId}`);
-        heating[motorId] = chk.checked;
-      }
-      try {
-        localStorage.setItem('heating', JSON.stringify(heating));
-      } catch (ex) {
-        console.error('Erro ao armazenar dados de aquecimento', ex);
-      }
+  }
 
-      // Persist diesel price and consumption values
-      const priceInput = document.getElementById('dieselPrice');
-      const consumptionInput = document.getElementById('dieselConsumption');
-      const priceVal = parseFloat(priceInput.value);
-      const consVal = parseFloat(consumptionInput.value);
-      try {
-        if (!isNaN(priceVal)) {
-          localStorage.setItem('dieselPrice', priceVal.toString());
-        }
-        if (!isNaN(consVal)) {
-          localStorage.setItem('dieselConsumption', consVal.toString());
-        }
-      } catch (ex) {
-        console.error('Erro ao armazenar dados de diesel', ex);
+  /**
+   * Describe the motors and tags a mapping reads, e.g.
+   * “UG#07 (TE402, TE403), UG#08 (TE402)”.
+   *
+   * @param {{columns: Object<string, {motorId: number, tag: string}>}} mapping
+   * @returns {string}
+   */
+  function describeMotors(mapping) {
+    const tagsByMotor = {};
+    Object.values(mapping.columns).forEach(({ motorId, tag }) => {
+      if (!tagsByMotor[motorId]) tagsByMotor[motorId] = new Set();
+      tagsByMotor[motorId].add(tag);
+    });
+    return Object.keys(tagsByMotor)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(motorId => `${Plant.unitName(plant, motorId)} (${Array.from(tagsByMotor[motorId]).sort().join(', ')})`)
+      .join(', ');
+  }
+
+  /**
+   * Create a select listing the file's columns.
+   *
+   * @param {string[]} fields
+   * @param {string|null} value
+   * @param {string} emptyLabel label of the “no column” option
+   * @returns {HTMLSelectElement}
+   */
+  function columnSelect(fields, value, emptyLabel) {
+    const select = document.createElement('select');
+    const empty = document.createElement('option');
+    empty.value = '';
+    empty.textContent = emptyLabel;
+    select.appendChild(empty);
+    fields.forEach(field => {
+      const option = document.createElement('option');
+      option.value = field;
+      option.textContent = field;
+      select.appendChild(option);
+    });
+    select.value = value || '';
+    return select;
+  }
+
+  /**
+   * Build the preview card of one imported file: detected encoding and
+   * delimiter, the date and time columns with the first row's values,
+   * the motors found and a table to map each column by hand.
+   *
+   * @param {object} entry
+   * @returns {HTMLElement}
+   */
+  function previewCard(entry) {
+    const { mapping } = entry;
+    const card = document.createElement('div');
+    card.className = 'file-card';
+
+    const header = document.createElement('div');
+    header.className = 'file-card-header';
+    const title = document.createElement('strong');
+    title.textContent = entry.name;
+    const details = document.createElement('span');
+    const delimiterName = entry.delimiter === '\t' ? 'tabulação' : `“${entry.delimiter}”`;
+    details.textContent = `${entry.encoding} · separador ${delimiterName} · ${entry.lineCount} linha(s)`;
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = 'Remover';
+    removeBtn.addEventListener('click', () => {
+      imports = imports.filter(other => other !== entry);
+      renderPreview();
+    });
+    header.appendChild(title);
+    header.appendChild(details);
+    header.appendChild(removeBtn);
+    card.appendChild(header);
+
+    const dateSelect = columnSelect(entry.fields, mapping.date, '(escolha)');
+    const timeSelect = columnSelect(entry.fields, mapping.time, '(junto com a data)');
+    const selects = document.createElement('div');
+    selects.className = 'file-card-columns';
+    [['Coluna de data', dateSelect], ['Coluna de hora', timeSelect]].forEach(([text, select]) => {
+      const label = document.createElement('label');
+      label.textContent = `${text}: `;
+      label.appendChild(select);
+      selects.appendChild(label);
+    });
+    card.appendChild(selects);
+
+    const summary = document.createElement('p');
+    summary.className = 'file-card-summary';
+    card.appendChild(summary);
+
+    const columnsBox = document.createElement('details');
+    const columnsTitle = document.createElement('summary');
+    const columnsTable = document.createElement('table');
+    columnsTable.className = 'heater-periods';
+    columnsTable.innerHTML = '<thead><tr><th>Coluna</th><th>Motor</th><th>Tag</th></tr></thead>';
+    const columnsBody = document.createElement('tbody');
+    columnsTable.appendChild(columnsBody);
+    columnsBox.appendChild(columnsTitle);
+    columnsBox.appendChild(columnsTable);
+    card.appendChild(columnsBox);
+
+    /**
+     * Refresh the first-row sample, the motors found and the warnings.
+     */
+    function refreshSummary() {
+      const lines = [];
+      const first = entry.sample[0];
+      if (mapping.date && first) {
+        const { dateStr, timeStr } = FileImport.rowDateTime(first, mapping);
+        lines.push(`Primeira linha: ${dateStr} ${timeStr}`);
       }
-      localStorage.setItem('hasData', 'true');
-      // Navigate to the plotting page
-      window.location.href = 'index.html';
+      const motors = describeMotors(mapping);
+      lines.push(motors ? `Motores: ${motors}` : 'Nenhuma coluna associada a um motor.');
+      const group = detectGroup(mapping);
+      const groupInfo = group ? plant.groups.find(g => g.id === group) : null;
+      if (groupInfo) lines.push(`Grupo: ${groupInfo.name}`);
+      summary.textContent = lines.join(' · ');
+      summary.classList.toggle('metric-warning', !mapping.date || !motors);
+      const mapped = Object.keys(mapping.columns).length;
+      columnsTitle.textContent = `Ajustar colunas de motor (${mapped} de ${entry.fields.length} associadas)`;
     }
 
-    Object.keys(files).forEach(key => {
-      const file = files[key];
-      if (file) {
-        pending++;
-        const reader = new FileReader();
-        reader.onload = (e) => readerLoaded(key, e);
-        reader.onerror = () => {
-          alert(`Erro ao ler o arquivo ${file.name}`);
-          results[key] = '';
-          pending--;
-          if (pending === 0) proceed();
+    /**
+     * One row per column other than the date and time ones, with the
+     * motor it belongs to (or “Ignorar”) and its tag.
+     */
+    function renderColumnRows() {
+      columnsBody.innerHTML = '';
+      entry.fields.forEach(field => {
+        if (field === mapping.date || field === mapping.time) return;
+        const own = mapping.columns[field];
+        const row = document.createElement('tr');
+        const nameCell = document.createElement('td');
+        nameCell.textContent = field;
+        const motorSelect = document.createElement('select');
+        const ignore = document.createElement('option');
+        ignore.value = '';
+        ignore.textContent = 'Ignorar';
+        motorSelect.appendChild(ignore);
+        plant.units.forEach(unit => {
+          const option = document.createElement('option');
+          option.value = unit.id;
+          option.textContent = unit.name;
+          motorSelect.appendChild(option);
+        });
+        motorSelect.value = own ? own.motorId : '';
+        const tagInput = document.createElement('input');
+        tagInput.type = 'text';
+        tagInput.value = own ? own.tag : '';
+        tagInput.placeholder = plant.defaultTag;
+        const update = () => {
+          if (motorSelect.value === '') {
+            delete mapping.columns[field];
+          } else {
+            mapping.columns[field] = {
+              motorId: parseInt(motorSelect.value, 10),
+              tag: tagInput.value.trim().toUpperCase() || plant.defaultTag
+            };
+          }
+          refreshSummary();
         };
-        reader.readAsText(file);
-      } else {
-        results[key] = '';
+        motorSelect.addEventListener('change', update);
+        tagInput.addEventListener('change', update);
+        row.appendChild(nameCell);
+        [motorSelect, tagInput].forEach(el => {
+          const cell = document.createElement('td');
+          cell.appendChild(el);
+          row.appendChild(cell);
+        });
+        columnsBody.appendChild(row);
+      });
+    }
+
+    /**
+     * Take a new date or time column; it no longer counts as a motor.
+     *
+     * @param {string} key 'date' or 'time'
+     * @param {string} value
+     */
+    function setDateTimeColumn(key, value) {
+      mapping[key] = value || null;
+      if (value) delete mapping.columns[value];
+      renderColumnRows();
+      refreshSummary();
+    }
+
+    dateSelect.addEventListener('change', () => setDateTimeColumn('date', dateSelect.value));
+    timeSelect.addEventListener('change', () => setDateTimeColumn('time', timeSelect.value));
+    renderColumnRows();
+    refreshSummary();
+    return card;
+  }
+
+  /**
+   * Show one preview card per imported file.
+   */
+  function renderPreview() {
+    const container = document.getElementById('filePreview');
+    container.innerHTML = '';
+    imports.forEach(entry => container.appendChild(previewCard(entry)));
+  }
+
+  // Drop zone and file picker; drops elsewhere on the page are ignored
+  // instead of making the browser leave the page to open the file.
+  const dropZone = document.getElementById('dropZone');
+  const fileInput = document.getElementById('fileInput');
+  ['dragover', 'drop'].forEach(type => window.addEventListener(type, e => e.preventDefault()));
+  dropZone.addEventListener('dragover', () => dropZone.classList.add('dragging'));
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+  dropZone.addEventListener('drop', e => {
+    dropZone.classList.remove('dragging');
+    addFiles(e.dataTransfer.files);
+  });
+  fileInput.addEventListener('change', () => {
+    addFiles(fileInput.files);
+    // Allow picking the same file again after removing it
+    fileInput.value = '';
+  });
+
+  document.getElementById('addHeaterPeriod').addEventListener('click', () => addPeriodRow());
+
+  // Read the plant configuration, then pre-fill the heater periods from
+  // the dataset currently plotted so that a new upload starts from the
+  // last known heater layout.
+  Plant.load()
+    .then(config => {
+      plant = config;
+      updateDieselDisplay();
+      return DatasetStore.migrateLegacy();
+    })
+    .then(() => {
+      const currentId = DatasetStore.getCurrentId();
+      return currentId === null ? null : DatasetStore.get(currentId);
+    })
+    .then(dataset => {
+      const mergeInput = document.getElementById('mergeMode');
+      if (!dataset) {
+        mergeInput.disabled = true;
+        return;
       }
+      document.getElementById('currentDatasetName').textContent = dataset.name;
+      DatasetStore.getHeaterPeriods(dataset).forEach(period => addPeriodRow(period));
+    })
+    .catch(ex => console.error('Erro ao ler a configuração da usina ou o conjunto de dados atual', ex));
+
+  // Remember who uploaded last time
+  const authorInput = document.getElementById('datasetAuthor');
+  authorInput.value = localStorage.getItem('lastAuthor') || '';
+
+  // Restore the last date format and time zone chosen
+  const dateFormatInput = document.getElementById('dateFormat');
+  dateFormatInput.value = localStorage.getItem('lastDateFormat') || 'auto';
+  timeZoneInput.value = localStorage.getItem('lastTimeZone') || 'America/Recife';
+  // The heater periods are shown in the source time zone: keep the
+  // instants and rewrite the inputs when another zone is picked
+  let periodZone = timeZoneInput.value;
+  timeZoneInput.addEventListener('change', () => {
+    heaterPeriodsEl.querySelectorAll('.period-from, .period-to').forEach(input => {
+      input.value = toInputValue(fromInputValue(input.value, periodZone), timeZoneInput.value);
     });
+    periodZone = timeZoneInput.value;
+  });
+
+  document.getElementById('submitData').addEventListener('click', () => {
+    if (imports.length === 0) {
+      alert('Por favor, adicione pelo menos um arquivo CSV ou XLSX para carregar.');
+      return;
+    }
+    for (const entry of imports) {
+      if (!entry.mapping.date) {
+        alert(`${entry.name}: escolha a coluna de data.`);
+        return;
+      }
+      if (Object.keys(entry.mapping.columns).length === 0) {
+        alert(`${entry.name}: nenhuma coluna foi associada a um motor.`);
+        return;
+      }
+    }
+
+    const heaterPeriods = readPeriods();
+    if (heaterPeriods === null) return;
+
+    // Collect the non-empty files for the new dataset. Workbook dates
+    // are written in ISO order whatever format was chosen.
+    const dateFormat = dateFormatInput.value;
+    const timeZone = timeZoneInput.value;
+    const datasetFiles = imports
+      .filter(entry => entry.text.trim().length > 0)
+      .map(entry => ({
+        group: detectGroup(entry.mapping),
+        name: entry.name,
+        text: entry.text,
+        dateFormat: entry.dateFormat || dateFormat,
+        timeZone,
+        delimiter: entry.delimiter,
+        mapping: entry.mapping
+      }));
+    if (datasetFiles.length === 0) {
+      alert('Os arquivos selecionados estão vazios.');
+      return;
+    }
 
-    // If no pending readers (all files empty) proceed immediately.
-    if (pending === 0) {
-      proceed();
+    const author = authorInput.value.trim();
+    const nameInput = document.getElementById('datasetName');
+    const name = nameInput.value.trim() || `Carga de ${new Date().toLocaleString('pt-BR')}`;
+    try {
+      localStorage.setItem('lastAuthor', author);
+      localStorage.setItem('lastDateFormat', dateFormat);
+      localStorage.setItem('lastTimeZone', timeZone);
+    } catch (ex) {
+      console.error('Erro ao armazenar preferências de carga', ex);
     }
+    // In merge mode the new dataset extends the one currently plotted
+    const merge = document.getElementById('mergeMode').checked;
+    const baseId = merge ? DatasetStore.getCurrentId() : null;
+    DatasetStore.save({ name, author, files: datasetFiles, heaterPeriods, baseId })
+      .then(id => {
+        DatasetStore.setCurrentId(id);
+        // Navigate to the plotting page
+        window.location.href = 'index.html';
+      })
+      .catch(ex => {
+        console.error('Erro ao armazenar conjunto de dados', ex);
+        if (ex && ex.name === 'QuotaExceededError') {
+          alert('Espaço de armazenamento do navegador esgotado. Exclua conjuntos de dados antigos na página do gráfico e tente novamente.');
+        } else {
+          alert(`Não foi possível armazenar os dados: ${ex && ex.message ? ex.message : ex}`);
+        }
+      });
   });
-});
\ No newline at end of file
+});
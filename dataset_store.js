@@ -0,0 +1,320 @@
+/*
+ * dataset_store.js
+ *
+ * IndexedDB storage shared by data.html and index.html. Every press of
+ * “Carregar e Plotar” creates a new dataset record (name, author, date,
+ * list of files and heater periods) so older uploads stay available
+ * and can be reopened from the picker on the plotting page. The raw CSV
+ * texts are kept in a separate object store so that listing datasets
+ * does not pull megabytes of text into memory. A dataset created in
+ * merge mode references the files of the dataset it extends instead of
+ * copying them, so the same file record may belong to several datasets.
+ * Operator notes attached to the chart are kept on the dataset record
+ * and carried over into datasets merged from it.
+ *
+ * The API is exposed on window.DatasetStore and every method returns a
+ * Promise.
+ */
+
+(function () {
+
+  const DB_NAME = 'aquecimento';
+  const DB_VERSION = 1;
+  const DATASETS = 'datasets';
+  const FILES = 'files';
+  // localStorage key remembering which dataset the plotting page shows
+  const CURRENT_KEY = 'currentDatasetId';
+  // Keys written by the previous localStorage-only version of the site
+  const LEGACY_GROUPS = ['group1', 'group2', 'group3', 'group4'];
+
+  let dbPromise = null;
+
+  /**
+   * Open (and on first use create) the database.
+   *
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB não está disponível neste navegador.'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(DATASETS)) {
+          db.createObjectStore(DATASETS, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(FILES)) {
+          db.createObjectStore(FILES, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a Promise.
+   *
+   * @param {IDBRequest} req
+   * @returns {Promise<*>}
+   */
+  function promisify(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Resolve once a transaction has committed. Quota errors surface here
+   * as an 'QuotaExceededError' DOMException.
+   *
+   * @param {IDBTransaction} tx
+   * @returns {Promise<void>}
+   */
+  function done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transação cancelada'));
+    });
+  }
+
+  /**
+   * Store a new dataset together with its CSV texts. When baseId is
+   * given the new dataset also contains every file of that dataset,
+   * placed before the new files so that newer rows win on merge, and
+   * that dataset's notes.
+   *
+   * @param {{ name: string, author: string, files: Array<{group: string|null, name: string, text: string, dateFormat: string, timeZone: string, delimiter?: string, mapping?: object}>, heaterPeriods: Array<{motor: number, from: number|null, to: number|null}>, baseId?: number }} dataset
+   * @returns {Promise<number>} id of the new dataset
+   */
+  async function save(dataset) {
+    const db = await openDb();
+    const base = dataset.baseId !== undefined && dataset.baseId !== null ? await get(dataset.baseId) : null;
+    const createdAt = Date.now();
+    const tx = db.transaction([DATASETS, FILES], 'readwrite');
+    const committed = done(tx);
+    const filesStore = tx.objectStore(FILES);
+    const fileRefs = base ? base.files.map(ref => Object.assign({ uploadedAt: base.createdAt }, ref)) : [];
+    for (const file of dataset.files) {
+      const fileId = await promisify(filesStore.add({ text: file.text }));
+      fileRefs.push({
+        fileId,
+        group: file.group,
+        name: file.name,
+        size: file.text.length,
+        uploadedAt: createdAt,
+        dateFormat: file.dateFormat || 'auto',
+        timeZone: file.timeZone || 'local',
+        delimiter: file.delimiter || null,
+        mapping: file.mapping || null
+      });
+    }
+    const record = {
+      name: dataset.name,
+      author: dataset.author,
+      createdAt,
+      files: fileRefs,
+      heaterPeriods: dataset.heaterPeriods || [],
+      notes: base ? getNotes(base) : [],
+      baseId: base ? base.id : null
+    };
+    const id = await promisify(tx.objectStore(DATASETS).add(record));
+    await committed;
+    return id;
+  }
+
+  /**
+   * List all stored datasets (metadata only), newest first.
+   *
+   * @returns {Promise<Array<object>>}
+   */
+  async function list() {
+    const db = await openDb();
+    const tx = db.transaction(DATASETS, 'readonly');
+    const all = await promisify(tx.objectStore(DATASETS).getAll());
+    return all.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Fetch a dataset's metadata.
+   *
+   * @param {number} id
+   * @returns {Promise<object|null>}
+   */
+  async function get(id) {
+    const db = await openDb();
+    const tx = db.transaction(DATASETS, 'readonly');
+    const record = await promisify(tx.objectStore(DATASETS).get(id));
+    return record || null;
+  }
+
+  /**
+   * Fetch the CSV texts belonging to a dataset, in upload order.
+   *
+   * @param {object} dataset
+   * @returns {Promise<Array<{group: string|null, name: string, text: string, uploadedAt: number, dateFormat: string, timeZone: string, delimiter: string|null, mapping: object|null}>>}
+   *   delimiter and mapping are null for files stored before the
+   *   column mapping was introduced
+   */
+  async function getFiles(dataset) {
+    const db = await openDb();
+    const tx = db.transaction(FILES, 'readonly');
+    const store = tx.objectStore(FILES);
+    const result = [];
+    for (const ref of dataset.files) {
+      const file = await promisify(store.get(ref.fileId));
+      result.push({
+        group: ref.group,
+        name: ref.name,
+        text: file ? file.text : '',
+        uploadedAt: ref.uploadedAt || dataset.createdAt,
+        dateFormat: ref.dateFormat || 'auto',
+        timeZone: ref.timeZone || 'local',
+        delimiter: ref.delimiter || null,
+        mapping: ref.mapping || null
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Delete a dataset and the CSV texts no other dataset refers to.
+   *
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async function remove(id) {
+    const db = await openDb();
+    const dataset = await get(id);
+    if (!dataset) return;
+    const inUse = new Set();
+    (await list()).forEach(other => {
+      if (other.id === id) return;
+      other.files.forEach(ref => inUse.add(ref.fileId));
+    });
+    const tx = db.transaction([DATASETS, FILES], 'readwrite');
+    const committed = done(tx);
+    dataset.files.forEach(ref => {
+      if (!inUse.has(ref.fileId)) tx.objectStore(FILES).delete(ref.fileId);
+    });
+    tx.objectStore(DATASETS).delete(id);
+    await committed;
+    if (getCurrentId() === id) {
+      localStorage.removeItem(CURRENT_KEY);
+    }
+  }
+
+  /**
+   * Periods during which each motor had an electric heater installed.
+   * A null bound means the period is open on that side. Datasets saved
+   * before periods existed carry a { motorId: boolean } heating map,
+   * which is read as heaters installed for the whole dataset.
+   *
+   * @param {object} dataset
+   * @returns {Array<{motor: number, from: number|null, to: number|null}>}
+   */
+  function getHeaterPeriods(dataset) {
+    if (Array.isArray(dataset.heaterPeriods)) return dataset.heaterPeriods;
+    const heating = dataset.heating || {};
+    return Object.keys(heating)
+      .filter(motorId => heating[motorId])
+      .map(motorId => ({ motor: parseInt(motorId, 10), from: null, to: null }));
+  }
+
+  /**
+   * Operator notes of a dataset, each attached to a motor and a time.
+   * Datasets saved before notes existed have none.
+   *
+   * @param {object} dataset
+   * @returns {Array<{id: number, motor: number, t: number, text: string}>}
+   */
+  function getNotes(dataset) {
+    return Array.isArray(dataset.notes) ? dataset.notes : [];
+  }
+
+  /**
+   * Replace the notes of a stored dataset.
+   *
+   * @param {number} id
+   * @param {Array<{id: number, motor: number, t: number, text: string}>} notes
+   * @returns {Promise<void>}
+   */
+  async function setNotes(id, notes) {
+    const db = await openDb();
+    const tx = db.transaction(DATASETS, 'readwrite');
+    const committed = done(tx);
+    const store = tx.objectStore(DATASETS);
+    const record = await promisify(store.get(id));
+    if (!record) throw new Error('Conjunto de dados não encontrado.');
+    record.notes = notes;
+    store.put(record);
+    await committed;
+  }
+
+  /**
+   * @returns {number|null} id of the dataset selected for plotting
+   */
+  function getCurrentId() {
+    const id = parseInt(localStorage.getItem(CURRENT_KEY), 10);
+    return isNaN(id) ? null : id;
+  }
+
+  /**
+   * @param {number} id
+   */
+  function setCurrentId(id) {
+    localStorage.setItem(CURRENT_KEY, String(id));
+  }
+
+  /**
+   * Move CSV data left in localStorage by the previous version of the
+   * site into IndexedDB, then free the localStorage space.
+   *
+   * @returns {Promise<void>}
+   */
+  async function migrateLegacy() {
+    if (!localStorage.getItem('hasData')) return;
+    const files = [];
+    LEGACY_GROUPS.forEach(group => {
+      const text = localStorage.getItem(group) || '';
+      if (text.trim().length > 0) {
+        files.push({ group, name: `${group}.csv`, text });
+      }
+    });
+    let heating = {};
+    try {
+      heating = JSON.parse(localStorage.getItem('heating')) || {};
+    } catch (ex) {
+      heating = {};
+    }
+    if (files.length > 0) {
+      const heaterPeriods = getHeaterPeriods({ heating });
+      const id = await save({ name: 'Dados importados da versão anterior', author: '', files, heaterPeriods });
+      setCurrentId(id);
+    }
+    LEGACY_GROUPS.forEach(group => localStorage.removeItem(group));
+    localStorage.removeItem('heating');
+    localStorage.removeItem('hasData');
+  }
+
+  window.DatasetStore = {
+    save,
+    list,
+    get,
+    getFiles,
+    remove,
+    getHeaterPeriods,
+    getNotes,
+    setNotes,
+    getCurrentId,
+    setCurrentId,
+    migrateLegacy
+  };
+})();
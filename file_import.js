@@ -0,0 +1,238 @@
+/*
+ * file_import.js
+ *
+ * Reading of historian exports, on the data entry page and in the
+ * command line tool (cli.js). A file is turned into CSV text whatever
+ * its origin: CSV files are decoded as UTF-8 or, when that fails, as
+ * Latin-1 (Windows-1252), and the first sheet of an XLSX workbook (read
+ * through SheetJS, the global XLSX, in the browser only) is written out
+ * as semicolon-separated CSV. The field delimiter is detected from the
+ * first lines, and the column mapping says which columns hold the date,
+ * the time and each motor's tags. The plotting page reads the stored
+ * text back with the same delimiter and mapping.
+ *
+ * The API is exposed on window.FileImport in the browser and as the
+ * module's exports in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./vendor/papaparse-5.4.1.min.js'), require('./plant.js'));
+  } else {
+    root.FileImport = factory(root.Papa, root.Plant);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Papa, Plant) {
+
+  // Field delimiters tried on CSV files, in order of preference on ties
+  const DELIMITERS = [',', ';', '\t', '|'];
+  // Number of lines looked at when detecting the delimiter
+  const SAMPLE_LINES = 20;
+  // Column names recognised as date, time or both at once
+  const DATE_COLUMN = /^\$?(date|data)$/i;
+  const TIME_COLUMN = /^\$?(time|hora)$/i;
+  const DATETIME_COLUMN = /^\$?(timestamp|date ?time|data ?hora|data\/hora)$/i;
+
+  /**
+   * Decode the bytes of a text file. A UTF-16 byte order mark is
+   * honoured; otherwise UTF-8 is tried strictly and Windows-1252 (a
+   * superset of Latin-1) is used when the bytes are not valid UTF-8.
+   *
+   * @param {ArrayBuffer} buffer
+   * @returns {{text: string, encoding: string}}
+   */
+  function decodeText(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'UTF-16' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'UTF-16' };
+    }
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+    } catch (ex) {
+      return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Latin-1' };
+    }
+  }
+
+  /**
+   * Count a character in a line, ignoring occurrences inside quotes.
+   *
+   * @param {string} line
+   * @param {string} ch
+   * @returns {number}
+   */
+  function countOutsideQuotes(line, ch) {
+    let count = 0;
+    let quoted = false;
+    for (const c of line) {
+      if (c === '"') quoted = !quoted;
+      else if (c === ch && !quoted) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Detect the field delimiter of a CSV text: the candidate found the
+   * most times on every one of the first lines. Requiring it on every
+   * line keeps the decimal comma of semicolon files from winning, as
+   * the header has no decimals.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0).slice(0, SAMPLE_LINES);
+    let best = DELIMITERS[0];
+    let bestCount = 0;
+    DELIMITERS.forEach(delimiter => {
+      const count = Math.min(...lines.map(line => countOutsideQuotes(line, delimiter)));
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Text for a spreadsheet cell. Dates become 'aaaa-mm-dd hh:mm:ss'
+   * (rounded to the second), or just the time for time-only cells,
+   * which SheetJS places on Excel's 1899-12-30 epoch.
+   *
+   * @param {*} value
+   * @returns {*}
+   */
+  function cellText(value) {
+    if (!(value instanceof Date)) return value;
+    const d = new Date(Math.round(value.getTime() / 1000) * 1000);
+    const p = n => String(n).padStart(2, '0');
+    const time = `${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+    if (d.getFullYear() < 1900) return time;
+    return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${time}`;
+  }
+
+  /**
+   * Convert the first sheet of a workbook to semicolon-separated CSV.
+   *
+   * @param {ArrayBuffer} buffer
+   * @returns {{text: string, hasDates: boolean}} hasDates tells whether
+   *   any cell was a spreadsheet date (written in ISO order)
+   * @throws {Error} when SheetJS is not loaded or the workbook is empty
+   */
+  function workbookToCSV(buffer) {
+    if (typeof XLSX === 'undefined') {
+      throw new Error('A biblioteca de planilhas (SheetJS) não foi carregada.');
+    }
+    const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+    if (workbook.SheetNames.length === 0) throw new Error('Planilha sem abas.');
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '', blankrows: false });
+    let hasDates = false;
+    const textRows = rows.map(row => row.map(value => {
+      if (value instanceof Date) hasDates = true;
+      return cellText(value);
+    }));
+    return { text: Papa.unparse(textRows, { delimiter: ';' }), hasDates };
+  }
+
+  /**
+   * Read a dropped file into CSV text.
+   *
+   * @param {File} file
+   * @returns {Promise<{name: string, text: string, encoding: string, delimiter: string, dateFormat: string|null}>}
+   *   dateFormat is 'iso' for workbooks with date cells, null otherwise
+   */
+  function readFile(file) {
+    return file.arrayBuffer().then(buffer => {
+      if (/\.xlsx?$/i.test(file.name)) {
+        const { text, hasDates } = workbookToCSV(buffer);
+        return { name: file.name, text, encoding: 'XLSX', delimiter: ';', dateFormat: hasDates ? 'iso' : null };
+      }
+      const { text, encoding } = decodeText(buffer);
+      return { name: file.name, text, encoding, delimiter: detectDelimiter(text), dateFormat: null };
+    });
+  }
+
+  /**
+   * Parse CSV text into an array of row objects keyed by column name.
+   * Without a delimiter PapaParse guesses it. Invalid CSV gives an
+   * empty array.
+   *
+   * @param {string} text
+   * @param {string} [delimiter]
+   * @param {number} [preview] only parse this many rows
+   * @returns {{rows: Array<object>, fields: string[]}}
+   */
+  function parseRows(text, delimiter, preview) {
+    if (!text) return { rows: [], fields: [] };
+    try {
+      const parsed = Papa.parse(text.trim(), {
+        header: true,
+        skipEmptyLines: true,
+        dynamicTyping: false,
+        delimiter: delimiter || '',
+        preview: preview || 0
+      });
+      return {
+        rows: Array.isArray(parsed.data) ? parsed.data : [],
+        fields: parsed.meta && Array.isArray(parsed.meta.fields) ? parsed.meta.fields : []
+      };
+    } catch (ex) {
+      console.error('Erro ao analisar CSV:', ex);
+      return { rows: [], fields: [] };
+    }
+  }
+
+  /**
+   * Guess the column mapping from the header: the date and time
+   * columns by name, and the motor and tag of every column matching
+   * the plant's tag pattern (see Plant.parseColumn). time is null when
+   * one column holds both date and time.
+   *
+   * @param {string[]} fields
+   * @param {object} plant
+   * @returns {{date: string|null, time: string|null, columns: Object<string, {motorId: number, tag: string}>}}
+   */
+  function detectMapping(fields, plant) {
+    const mapping = { date: null, time: null, columns: {} };
+    fields.forEach(field => {
+      const name = field.trim();
+      if (mapping.date === null && DATE_COLUMN.test(name)) {
+        mapping.date = field;
+      } else if (mapping.time === null && TIME_COLUMN.test(name)) {
+        mapping.time = field;
+      } else if (mapping.date === null && DATETIME_COLUMN.test(name)) {
+        mapping.date = field;
+      } else {
+        const parsed = Plant.parseColumn(plant, name);
+        if (parsed) mapping.columns[field] = parsed;
+      }
+    });
+    return mapping;
+  }
+
+  /**
+   * Date and time strings of a row under a column mapping. When one
+   * column holds both, it is split at the first space or 'T'.
+   *
+   * @param {object} row
+   * @param {{date: string|null, time: string|null}} mapping
+   * @returns {{dateStr: string, timeStr: string}}
+   */
+  function rowDateTime(row, mapping) {
+    const dateStr = mapping.date ? String(row[mapping.date] || '').trim() : '';
+    if (mapping.time) return { dateStr, timeStr: String(row[mapping.time] || '').trim() };
+    const [datePart, timePart] = dateStr.split(/[T\s]+/);
+    return { dateStr: datePart || '', timeStr: timePart || '' };
+  }
+
+  return {
+    decodeText,
+    detectDelimiter,
+    readFile,
+    parseRows,
+    detectMapping,
+    rowDateTime
+  };
+});
@@ -0,0 +1,123 @@
+/*
+ * live_source.js
+ *
+ * Optional live feed for the plotting page (script.js): polls the HTTP
+ * endpoint set in the settings (the on-site historian gateway, or
+ * mock_historian.js for testing) for the readings newer than the last
+ * one on the page and appends them to the loaded series. The endpoint
+ * is called as GET <url>?since=<ms> and answers with JSON, either
+ *
+ *   { "points": [{ "tag": "SCA07TE402PV", "time": "2025-10-01T08:00:00-03:00", "value": 48.2 }] }
+ *
+ * or the bare array. tag is a historian column name split with the
+ * plant's tag pattern (see Plant.parseColumn); time is an ISO date or
+ * milliseconds since the epoch. Points received live are not saved in
+ * the dataset store.
+ *
+ * The API is exposed on window.LiveSource.
+ */
+
+(function () {
+
+  // A poll that takes longer than this (ms) counts as failed
+  const TIMEOUT_MS = 15000;
+
+  /**
+   * Fetch the readings newer than a timestamp.
+   *
+   * @param {string} url endpoint from the settings
+   * @param {number|null} since last timestamp already on the page, null for all
+   * @returns {Promise<Array<{tag: string, t: number, value: number}>>}
+   *   points with a valid time and value, sorted by time
+   * @throws {Error} (rejects) on network errors, timeouts, HTTP errors
+   *   and answers that are not in the format above
+   */
+  function fetchPoints(url, since) {
+    const target = new URL(url, window.location.href);
+    if (since !== null) target.searchParams.set('since', String(since));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    return fetch(target.toString(), { cache: 'no-store', signal: controller.signal })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(body => {
+        const points = Array.isArray(body) ? body : body && body.points;
+        if (!Array.isArray(points)) throw new Error('resposta sem lista de pontos');
+        return points
+          .map(p => ({
+            tag: String(p.tag || ''),
+            t: typeof p.time === 'number' ? p.time : new Date(p.time).getTime(),
+            value: typeof p.value === 'number' ? p.value : parseFloat(String(p.value).replace(',', '.'))
+          }))
+          .filter(p => p.tag && !isNaN(p.t) && !isNaN(p.value))
+          .sort((a, b) => a.t - b.t);
+      })
+      .catch(ex => {
+        if (ex.name === 'AbortError') throw new Error(`sem resposta em ${TIMEOUT_MS / 1000} s`);
+        throw ex;
+      })
+      .finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Append points to the series per motor and tag. Points of unknown
+   * columns, and points not later than the last one of their series,
+   * are skipped, so the series stay sorted and a reading sent twice is
+   * only added once.
+   *
+   * @param {object} tagData series per motor and tag, changed in place
+   * @param {Array<{tag: string, t: number, value: number}>} points sorted by time
+   * @param {object} plant plant configuration (see plant.js)
+   * @returns {{added: number, motors: number[], newSeries: boolean}} points
+   *   added, motors that received any, and whether a motor or tag
+   *   appeared that had no series before
+   */
+  function appendPoints(tagData, points, plant) {
+    let added = 0;
+    let newSeries = false;
+    const motors = new Set();
+    points.forEach(p => {
+      const parsed = Plant.parseColumn(plant, p.tag);
+      if (!parsed) return;
+      const { motorId, tag } = parsed;
+      if (!tagData[motorId]) tagData[motorId] = {};
+      if (!tagData[motorId][tag]) {
+        tagData[motorId][tag] = [];
+        newSeries = true;
+      }
+      const series = tagData[motorId][tag];
+      if (series.length > 0 && p.t <= series[series.length - 1].t) return;
+      series.push({ t: p.t, value: p.value });
+      motors.add(motorId);
+      added++;
+    });
+    return { added, motors: Array.from(motors), newSeries };
+  }
+
+  /**
+   * Timestamp of the newest point in any series.
+   *
+   * @param {object} tagData series per motor and tag
+   * @returns {number|null} null when there are no points
+   */
+  function latestTime(tagData) {
+    let latest = null;
+    Object.keys(tagData).forEach(motorId => {
+      Object.keys(tagData[motorId]).forEach(tag => {
+        const series = tagData[motorId][tag];
+        if (series.length === 0) return;
+        const t = series[series.length - 1].t;
+        if (latest === null || t > latest) latest = t;
+      });
+    });
+    return latest;
+  }
+
+  window.LiveSource = {
+    fetchPoints,
+    appendPoints,
+    latestTime
+  };
+})();
@@ -0,0 +1,470 @@
+/*
+ * metrics.js
+ *
+ * The availability and savings calculation: data gaps, heater
+ * periods, diesel and electricity prices, sensor fault detection, the
+ * per-motor metrics and the rows of the metrics report. It has no
+ * access to the page, so the plotting page (script.js) and the command
+ * line tool (cli.js) produce the same figures from the same series.
+ *
+ * The API is exposed on window.Metrics in the browser and as the
+ * module's exports in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./settings.js'), require('./data_parser.js'));
+  } else {
+    root.Metrics = factory(root.Settings, root.DataParser);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Settings, DataParser) {
+
+  /**
+   * List the stretches of a range without data: intervals between two
+   * samples longer than maxGapMs, plus the start and end of the range
+   * when the first/last sample is further than that from them.
+   *
+   * @param {Array<{t:number,value:number}>} dataArr
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {number} maxGapMs
+   * @returns {Array<{from: number, to: number}>}
+   */
+  function findGaps(dataArr, startTime, endTime, maxGapMs) {
+    const gaps = [];
+    let prevT = startTime;
+    (dataArr || []).forEach(p => {
+      if (p.t < startTime || p.t > endTime) return;
+      if (p.t - prevT > maxGapMs) gaps.push({ from: prevT, to: p.t });
+      prevT = p.t;
+    });
+    if (endTime - prevT > maxGapMs) gaps.push({ from: prevT, to: endTime });
+    return gaps;
+  }
+
+  /**
+   * Periods during which a motor had its electric heater installed,
+   * clipped to a time range, merged where they overlap and sorted.
+   *
+   * @param {Array<{motor: number, from: number|null, to: number|null}>} heaterPeriods
+   * @param {number} motorId
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {Array<[number, number]>}
+   */
+  function heaterIntervals(heaterPeriods, motorId, startTime, endTime) {
+    const clipped = heaterPeriods
+      .filter(p => p.motor === motorId)
+      .map(p => [
+        Math.max(p.from === null ? -Infinity : p.from, startTime),
+        Math.min(p.to === null ? Infinity : p.to, endTime)
+      ])
+      .filter(([from, to]) => to > from)
+      .sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    clipped.forEach(interval => {
+      const last = merged[merged.length - 1];
+      if (last && interval[0] <= last[1]) {
+        last[1] = Math.max(last[1], interval[1]);
+      } else {
+        merged.push(interval.slice());
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Milliseconds of the span [from, to] covered by a list of intervals.
+   *
+   * @param {number} from
+   * @param {number} to
+   * @param {Array<[number, number]>} intervals sorted, non-overlapping
+   * @returns {number}
+   */
+  function overlapMs(from, to, intervals) {
+    let total = 0;
+    for (const [a, b] of intervals) {
+      if (a >= to) break;
+      const overlap = Math.min(b, to) - Math.max(a, from);
+      if (overlap > 0) total += overlap;
+    }
+    return total;
+  }
+
+  /**
+   * Like overlapMs, but each millisecond is weighted by the diesel price
+   * in force at that time.
+   *
+   * @param {number} from
+   * @param {number} to
+   * @param {Array<[number, number]>} intervals
+   * @param {Array<{from: number, to: number, price: number}>} pricePeriods
+   * @returns {number} ms × R$/L
+   */
+  function pricedOverlapMs(from, to, intervals, pricePeriods) {
+    let total = 0;
+    for (const period of pricePeriods) {
+      const a = Math.max(from, period.from);
+      const b = Math.min(to, period.to);
+      if (b > a) total += overlapMs(a, b, intervals) * period.price;
+    }
+    return total;
+  }
+
+  /**
+   * Time within [from, to] that falls in the electricity peak hours.
+   *
+   * @param {number} from
+   * @param {number} to
+   * @param {{ peakStart: string, peakEnd: string, peakWeekdaysOnly: boolean }} tariff
+   * @param {string} [timeZone] IANA zone whose clock the peak hours
+   *   follow; 'local' or missing uses the browser's time zone
+   * @returns {number}
+   */
+  function peakMs(from, to, tariff, timeZone) {
+    const [startH, startM] = tariff.peakStart.split(':').map(Number);
+    const [endH, endM] = tariff.peakEnd.split(':').map(Number);
+    const local = !timeZone || timeZone === 'local';
+    const offset = local ? -new Date(from).getTimezoneOffset() * 60000 : DataParser.zoneOffset(from, timeZone);
+    let total = 0;
+    // Days are walked on the zone's wall clock, written as if it were UTC
+    let day = Math.floor((from + offset) / 86400000) * 86400000;
+    while (DataParser.zonedTime(day, timeZone) < to) {
+      const weekDay = new Date(day).getUTCDay();
+      const weekday = weekDay >= 1 && weekDay <= 5;
+      if (weekday || !tariff.peakWeekdaysOnly) {
+        const peakFrom = DataParser.zonedTime(day + (startH * 60 + startM) * 60000, timeZone);
+        const peakTo = DataParser.zonedTime(day + (endH * 60 + endM) * 60000, timeZone);
+        total += Math.max(0, Math.min(to, peakTo) - Math.max(from, peakFrom));
+      }
+      day += 86400000;
+    }
+    return total;
+  }
+
+  /**
+   * Like overlapMs, but only counting the electricity peak hours.
+   *
+   * @param {number} from
+   * @param {number} to
+   * @param {Array<[number, number]>} intervals
+   * @param {object} tariff see peakMs
+   * @param {string} [timeZone] see peakMs
+   * @returns {number}
+   */
+  function peakOverlapMs(from, to, intervals, tariff, timeZone) {
+    let total = 0;
+    for (const [a, b] of intervals) {
+      const lo = Math.max(from, a);
+      const hi = Math.min(to, b);
+      if (hi > lo) total += peakMs(lo, hi, tariff, timeZone);
+    }
+    return total;
+  }
+
+  /**
+   * Format a duration as HH:MM h.
+   *
+   * @param {number} ms
+   * @returns {string}
+   */
+  function formatDuration(ms) {
+    const hrs = ms / 3600000;
+    const hours = Math.floor(hrs);
+    const minutes = Math.floor((hrs - hours) * 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')} h`;
+  }
+
+  // Labels for the kinds of suspected sensor fault set by detectFaults
+  const FAULT_LABELS = { range: 'fora de faixa', spike: 'salto', flatline: 'congelado' };
+
+  /**
+   * Flag samples that look like sensor faults by setting point.fault to
+   * 'range' (reading outside the valid range), 'spike' (changed faster
+   * than maxRatePerMinute from the last good reading) or 'flatline'
+   * (value stuck within flatlineTolerance for flatlineMinutes or more).
+   * After three consecutive spikes the new level is accepted as real,
+   * so a genuine step change only flags its first samples. A stretch
+   * without data longer than maxGapMs ends a flatline run, so equal
+   * readings on both sides of a hole are not taken for a frozen sensor.
+   *
+   * @param {Array<{t:number,value:number,fault?:string}>} dataArr sorted by time
+   * @param {{ minValid: number, maxValid: number, maxRatePerMinute: number, flatlineMinutes: number, flatlineTolerance: number }} limits
+   * @param {number} [maxGapMs] see computeMetrics; runs are not broken
+   *   at gaps when missing
+   * @returns {{ range: number, spike: number, flatline: number }} flagged sample counts
+   */
+  function detectFaults(dataArr, limits, maxGapMs) {
+    const counts = { range: 0, spike: 0, flatline: 0 };
+    dataArr.forEach(p => { delete p.fault; });
+    // Out of range readings
+    dataArr.forEach(p => {
+      if (p.value < limits.minValid || p.value > limits.maxValid) {
+        p.fault = 'range';
+      }
+    });
+    // Spikes, measured against the last good reading
+    let lastGood = null;
+    let consecutive = 0;
+    dataArr.forEach(p => {
+      if (p.fault) return;
+      if (lastGood !== null && p.t > lastGood.t) {
+        const rate = Math.abs(p.value - lastGood.value) / ((p.t - lastGood.t) / 60000);
+        if (rate > limits.maxRatePerMinute && consecutive < 3) {
+          p.fault = 'spike';
+          consecutive++;
+          return;
+        }
+      }
+      lastGood = p;
+      consecutive = 0;
+    });
+    // Flatlines: runs of readings that stay within tolerance of the first
+    let runStart = 0;
+    const flagRun = (from, to) => {
+      if (dataArr[to].t - dataArr[from].t < limits.flatlineMinutes * 60000) return;
+      for (let k = from; k <= to; k++) {
+        if (!dataArr[k].fault) dataArr[k].fault = 'flatline';
+      }
+    };
+    for (let i = 1; i < dataArr.length; i++) {
+      if (Math.abs(dataArr[i].value - dataArr[runStart].value) > limits.flatlineTolerance ||
+          dataArr[i].t - dataArr[i - 1].t > maxGapMs) {
+        flagRun(runStart, i - 1);
+        runStart = i;
+      }
+    }
+    if (dataArr.length > 0) flagRun(runStart, dataArr.length - 1);
+    dataArr.forEach(p => {
+      if (p.fault) counts[p.fault]++;
+    });
+    return counts;
+  }
+
+  /**
+   * Compute metrics for a given motor within a time range. Intervals
+   * between consecutive samples longer than maxGapMs count as “no data”
+   * and are credited to neither availability nor savings; coverage is
+   * the share of the range made of shorter intervals. Samples flagged
+   * by detectFaults are skipped altogether. The intervals that cross
+   * the start or end of the range, from the last valid sample before it
+   * or to the first one after it, count for their part inside the
+   * range, so the figures of consecutive ranges (e.g. the days of the
+   * fleet heatmap) add up to those of the whole.
+   *
+   * The projections extrapolate the savings rate actually observed: the
+   * R$ saved divided by the time that had both valid data and the heater
+   * installed, so a one-week range or a range with holes in the data
+   * projects the same daily figure as a complete single day would. The
+   * net savings subtract the electricity the heater used over that same
+   * time, priced at the peak or off-peak tariff.
+   *
+   * @param {Array<{t:number,value:number}>} dataArr
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {{ thresholds: {startTemp: number, savingsTemp: number}, heaterIntervals: Array<[number, number]>, maxGapMs: number, consumption: number, pricePeriods: Array<{from: number, to: number, price: number}>, heater: {powerKw: number, dutyPercent: number}, tariff: object, timeZone?: string }} options
+   *   thresholds are the temperatures (°C) above which the motor counts
+   *   as available and as saving diesel (see Settings.getThresholds);
+   *   heaterIntervals the periods with the electric heater installed
+   *   (see heaterIntervals), diesel savings only accrue inside them;
+   *   consumption the diesel the motor's pre-heating burns (L/h) and
+   *   pricePeriods the diesel price table (see Settings.getPricePeriods),
+   *   each saved hour is valued at the price in force at that time;
+   *   heater the heater power (kW) and the share of time it is on (%)
+   *   and tariff the electricity prices (see Settings.tariff), the
+   *   heater is charged for its installed time with valid data, with
+   *   the peak hours read on the clock of timeZone (see peakMs)
+   * @returns {{ availability: string, availabilityMs: number, economiaLitros: number, economiaRS: number, economiaDia: number, economiaMes: number, economiaAno: number, projectionBasisMs: number, energiaKWh: number, custoEnergia: number, economiaLiquida: number, economiaLiquidaDia: number, lastTemperature: number|null, coverage: number, faultCount: number }}
+   */
+  function computeMetrics(dataArr, startTime, endTime, options) {
+    const { thresholds, heaterIntervals, maxGapMs, consumption, pricePeriods, heater, tariff, timeZone } = options;
+    const empty = {
+      availability: '00:00 h',
+      availabilityMs: 0,
+      economiaLitros: 0,
+      economiaRS: 0,
+      economiaDia: 0,
+      economiaMes: 0,
+      economiaAno: 0,
+      projectionBasisMs: 0,
+      energiaKWh: 0,
+      custoEnergia: 0,
+      economiaLiquida: 0,
+      economiaLiquidaDia: 0,
+      lastTemperature: null,
+      coverage: 0,
+      faultCount: 0
+    };
+    if (!Array.isArray(dataArr) || dataArr.length === 0) {
+      return empty;
+    }
+    // Filter data points within range, leaving out suspected sensor faults
+    const inRange = dataArr.filter(p => p.t >= startTime && p.t <= endTime);
+    const filtered = inRange.filter(p => !p.fault);
+    const faultCount = inRange.length - filtered.length;
+    if (filtered.length === 0) {
+      return Object.assign(empty, { faultCount });
+    }
+    let availabilityMs = 0;
+    let economiaMs = 0;
+    // Saved time multiplied by the diesel price in force (ms × R$/L)
+    let economiaPriceMs = 0;
+    let coveredMs = 0;
+    // Time with valid data while the heater was installed, and the part
+    // of it in the electricity peak hours
+    let heaterCoveredMs = 0;
+    let heaterPeakMs = 0;
+    // Valid neighbours just outside the range, for the intervals across its ends
+    let before = null;
+    let after = null;
+    dataArr.forEach(p => {
+      if (p.fault) return;
+      if (p.t < startTime) before = p;
+      else if (p.t > endTime && !after) after = p;
+    });
+    const points = [before].concat(filtered, [after]).filter(p => p !== null);
+    let prev = points[0];
+    for (let i = 1; i < points.length; i++) {
+      const curr = points[i];
+      // The part of the interval inside the range
+      const from = Math.max(prev.t, startTime);
+      const to = Math.min(curr.t, endTime);
+      if (curr.t - prev.t <= maxGapMs && to > from) {
+        const dt = to - from;
+        coveredMs += dt;
+        const heaterMs = overlapMs(from, to, heaterIntervals);
+        if (heaterMs > 0) {
+          heaterCoveredMs += heaterMs;
+          heaterPeakMs += peakOverlapMs(from, to, heaterIntervals, tariff, timeZone);
+        }
+        if (prev.value > thresholds.startTemp && curr.value > thresholds.startTemp) {
+          availabilityMs += dt;
+        }
+        if (prev.value > thresholds.savingsTemp && curr.value > thresholds.savingsTemp) {
+          const savedMs = overlapMs(from, to, heaterIntervals);
+          if (savedMs > 0) {
+            economiaMs += savedMs;
+            economiaPriceMs += pricedOverlapMs(from, to, heaterIntervals, pricePeriods);
+          }
+        }
+      }
+      prev = curr;
+    }
+    const availability = formatDuration(availabilityMs);
+    // Compute savings from the motor's consumption and the dated diesel prices
+    const economiaLitros = (economiaMs / 3600000) * consumption;
+    const economiaRS = (economiaPriceMs / 3600000) * consumption;
+    // Projections: daily rate over the observed heater time, then 30 and 365 days
+    const economiaDia = heaterCoveredMs > 0 ? economiaRS / (heaterCoveredMs / 86400000) : 0;
+    const economiaMes = economiaDia * 30;
+    const economiaAno = economiaDia * 365;
+    // Electricity used by the heater and what is left of the savings
+    const heaterKw = heater.powerKw * heater.dutyPercent / 100;
+    const energiaKWh = heaterKw * heaterCoveredMs / 3600000;
+    const custoEnergia = heaterKw *
+      (heaterPeakMs * tariff.peak + (heaterCoveredMs - heaterPeakMs) * tariff.offPeak) / 3600000;
+    const economiaLiquida = economiaRS - custoEnergia;
+    const economiaLiquidaDia = heaterCoveredMs > 0 ? economiaLiquida / (heaterCoveredMs / 86400000) : 0;
+    const lastTemperature = filtered[filtered.length - 1].value;
+    const rangeMs = endTime - startTime;
+    const coverage = rangeMs > 0 ? coveredMs / rangeMs : 0;
+    return {
+      availability,
+      availabilityMs,
+      economiaLitros,
+      economiaRS,
+      economiaDia,
+      economiaMes,
+      economiaAno,
+      projectionBasisMs: heaterCoveredMs,
+      energiaKWh,
+      custoEnergia,
+      economiaLiquida,
+      economiaLiquidaDia,
+      lastTemperature,
+      coverage,
+      faultCount
+    };
+  }
+
+  /**
+   * Options for computeMetrics for one motor: its own thresholds,
+   * heater periods, diesel consumption and heater power, and the
+   * configured maximum sample gap and prices.
+   *
+   * @param {object} settings see Settings.load
+   * @param {Array<{motor: number, from: number|null, to: number|null}>} heaterPeriods
+   * @param {number} motorId
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {string} [timeZone] IANA zone whose clock the price dates
+   *   and peak hours follow; 'local' or missing uses the browser's
+   * @returns {object} see computeMetrics
+   */
+  function metricsOptions(settings, heaterPeriods, motorId, startTime, endTime, timeZone) {
+    const local = !timeZone || timeZone === 'local';
+    return {
+      thresholds: Settings.getThresholds(settings, motorId),
+      heaterIntervals: heaterIntervals(heaterPeriods, motorId, startTime, endTime),
+      maxGapMs: settings.dataQuality.maxGapMinutes * 60000,
+      consumption: Settings.getConsumption(settings, motorId),
+      pricePeriods: Settings.getPricePeriods(settings,
+        local ? undefined : value => DataParser.parseTimestamp(value, '00:00', 'iso', timeZone)),
+      heater: {
+        powerKw: Settings.getHeater(settings, motorId).powerKw,
+        dutyPercent: settings.heater.dutyPercent
+      },
+      tariff: settings.tariff,
+      timeZone
+    };
+  }
+
+  // Column headers of the per-motor metrics report
+  const REPORT_HEADERS = [
+    'Motor', 'Aquecedor', 'Disponibilidade (h)', 'Economia diesel (L)', 'Economia diesel (R$)',
+    'Projeção mensal (R$)', 'Energia do aquecedor (kWh)', 'Custo de energia (R$)', 'Economia líquida (R$)',
+    'Última temperatura (°C)', 'Cobertura de dados (%)'
+  ];
+
+  /**
+   * One row of the per-motor metrics report, values rounded to two
+   * decimals, in the order of REPORT_HEADERS.
+   *
+   * @param {string} name motor name, e.g. UG#07
+   * @param {boolean} hasHeater whether a heater was installed in the range
+   * @param {object} metrics see computeMetrics
+   * @returns {Array<string|number>}
+   */
+  function reportRow(name, hasHeater, metrics) {
+    const round = value => Number(value.toFixed(2));
+    return [
+      name,
+      hasHeater ? 'Sim' : 'Não',
+      round(metrics.availabilityMs / 3600000),
+      round(metrics.economiaLitros),
+      round(metrics.economiaRS),
+      round(metrics.economiaMes),
+      round(metrics.energiaKWh),
+      round(metrics.custoEnergia),
+      round(metrics.economiaLiquida),
+      metrics.lastTemperature === null ? '' : round(metrics.lastTemperature),
+      round(metrics.coverage * 100)
+    ];
+  }
+
+  return {
+    findGaps,
+    heaterIntervals,
+    overlapMs,
+    pricedOverlapMs,
+    peakMs,
+    peakOverlapMs,
+    formatDuration,
+    FAULT_LABELS,
+    detectFaults,
+    computeMetrics,
+    metricsOptions,
+    REPORT_HEADERS,
+    reportRow
+  };
+});
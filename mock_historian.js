@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/*
+ * mock_historian.js
+ *
+ * Stand-in for the historian gateway, to try the live mode of the
+ * plotting page away from the plant network. It answers
+ * GET /latest?since=<ms> in the format described in live_source.js with
+ * one simulated reading per unit of plant.json and minute, named like
+ * the historian columns (e.g. SCA07TE402PV). Without since, or with an
+ * older one, it sends the last six hours.
+ *
+ * Usage:
+ *   node mock_historian.js [porta]   (default: 8081)
+ * then set http://localhost:8081/latest as the historian address on the
+ * settings page.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const Plant = require('./plant.js');
+
+// One reading per minute, at most the last six hours per answer
+const STEP_MS = 60000;
+const HISTORY_MS = 6 * 3600000;
+
+/**
+ * Simulated block temperature (°C) of a unit: a slow swing between
+ * roughly 35 and 65 °C with a small ripple, the same on every request.
+ *
+ * @param {number} unitId
+ * @param {number} t
+ * @returns {number}
+ */
+function temperature(unitId, t) {
+  const hours = t / 3600000;
+  const value = 50 + 15 * Math.sin(hours / 3 + unitId) + Math.sin(hours * 7 + unitId * 3);
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Readings after a timestamp up to now.
+ *
+ * @param {object} plant
+ * @param {number|null} since
+ * @param {number} now
+ * @returns {Array<{tag: string, time: number, value: number}>}
+ */
+function readings(plant, since, now) {
+  const from = Math.max(since === null ? 0 : since + 1, now - HISTORY_MS);
+  const points = [];
+  for (let t = Math.ceil(from / STEP_MS) * STEP_MS; t <= now; t += STEP_MS) {
+    plant.units.forEach(unit => {
+      const tag = `SCA${String(unit.id).padStart(2, '0')}${plant.defaultTag}PV`;
+      points.push({ tag, time: t, value: temperature(unit.id, t) });
+    });
+  }
+  return points;
+}
+
+const plantFile = path.join(__dirname, 'plant.json');
+const plant = Plant.normalise(fs.existsSync(plantFile) ? JSON.parse(fs.readFileSync(plantFile, 'utf8')) : Plant.fallback());
+const port = parseInt(process.argv[2], 10) || 8081;
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  // The plotting page is served from another origin (or from disk)
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (req.method !== 'GET' || url.pathname !== '/latest') {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+  const since = parseInt(url.searchParams.get('since'), 10);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ points: readings(plant, isNaN(since) ? null : since, Date.now()) }));
+}).listen(port, () => {
+  console.log(`Historiador simulado em http://localhost:${port}/latest`);
+});
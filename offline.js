@@ -0,0 +1,17 @@
+/*
+ * offline.js
+ *
+ * Registers the service worker (service_worker.js) that lets every page
+ * open without a network connection and makes the site installable as
+ * an app (see manifest.webmanifest). Browsers only allow service
+ * workers on http(s), so pages opened straight from disk skip it.
+ */
+
+(function () {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('service_worker.js').catch(ex => {
+      console.error('Não foi possível registrar o service worker', ex);
+    });
+  });
+})();
@@ -0,0 +1,38 @@
+/*
+ * parse_worker.js
+ *
+ * Web Worker started by the plotting page (script.js) to parse a
+ * dataset's files away from the main thread. It receives the stored
+ * files and the plant configuration, posts progress messages while it
+ * reads them and finally the result of DataParser.buildDataStructure.
+ *
+ * Messages posted: {type: 'progress', phase: 'parse'|'build', done, total},
+ * then {type: 'result', result} or {type: 'error', message}.
+ */
+
+// The shared modules publish their API on the worker's global scope
+importScripts(
+  'vendor/papaparse-5.4.1.min.js',
+  'plant.js',
+  'file_import.js',
+  'data_parser.js'
+);
+
+// Set after importScripts: PapaParse installs its own handler when it
+// finds itself in a worker.
+self.onmessage = event => {
+  const { files, plant } = event.data;
+  try {
+    const tables = files.map((file, i) => {
+      self.postMessage({ type: 'progress', phase: 'parse', done: i, total: files.length });
+      return FileImport.parseRows(file.text, file.delimiter).rows;
+    });
+    const tableOptions = files.map(file => ({ dateFormat: file.dateFormat, timeZone: file.timeZone, mapping: file.mapping }));
+    const result = DataParser.buildDataStructure(tables, tableOptions, plant, (done, total) => {
+      self.postMessage({ type: 'progress', phase: 'build', done, total });
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (ex) {
+    self.postMessage({ type: 'error', message: ex && ex.message ? ex.message : String(ex) });
+  }
+};
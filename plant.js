@@ -0,0 +1,179 @@
+/*
+ * plant.js
+ *
+ * Plant configuration shared by every page: the units (number, name,
+ * colour and upload group), the upload groups, the pattern that splits
+ * historian column names into unit and tag, and the plant's default
+ * temperature thresholds. The configuration is read from plant.json
+ * next to the pages, so a sister plant or a new unit only needs a
+ * different JSON file. When the file cannot be read (for example when
+ * the pages are opened straight from disk) the Pernambuco III layout
+ * below is used.
+ *
+ * The API is exposed on window.Plant in the browser and as the
+ * module's exports in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Plant = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const CONFIG_URL = 'plant.json';
+
+  /**
+   * Configuration used when plant.json is unavailable: Pernambuco III,
+   * 23 units in four upload groups.
+   *
+   * @returns {object}
+   */
+  function fallback() {
+    const palette = [
+      '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f',
+      '#bcbd22', '#17becf', '#393b79', '#637939', '#8c6d31', '#e7ba52', '#31a354', '#3182bd',
+      '#756bb1', '#b94b43', '#6b6ecf', '#9c9ede', '#636363', '#e6550d', '#a55194'
+    ];
+    const groupOf = id => (id <= 6 ? 'group1' : id <= 12 ? 'group2' : id <= 18 ? 'group3' : 'group4');
+    return {
+      name: 'UTE Pernambuco III',
+      logo: 'termeletrica-pernambuco-iii-logo.png',
+      tagPattern: 'SCA(\\d{2})\\d*([A-Z]+\\d+)?',
+      defaultTag: 'TE402',
+      thresholds: { startTemp: 50, savingsTemp: 40 },
+      groups: [1, 2, 3, 4].map(n => ({ id: `group${n}`, name: `Grupo ${String(n).padStart(2, '0')}` })),
+      units: palette.map((color, i) => ({
+        id: i + 1,
+        name: `UG#${String(i + 1).padStart(2, '0')}`,
+        color,
+        group: groupOf(i + 1)
+      }))
+    };
+  }
+
+  /**
+   * Check a configuration read from JSON and fill in optional fields.
+   * Units are sorted by number; a unit without a name or colour gets
+   * UG#nn and a neutral grey, and the name, logo, tag pattern and
+   * default tag fall back to those of Pernambuco III.
+   *
+   * @param {object} config
+   * @returns {object}
+   * @throws {Error} when units or groups are missing or the tag pattern
+   *   is not a valid regular expression
+   */
+  function normalise(config) {
+    if (!config || !Array.isArray(config.units) || config.units.length === 0) {
+      throw new Error('plant.json sem lista de unidades (units)');
+    }
+    if (!Array.isArray(config.groups) || config.groups.length === 0) {
+      throw new Error('plant.json sem grupos de arquivos (groups)');
+    }
+    const base = fallback();
+    const units = config.units.map(unit => {
+      const id = parseInt(unit.id, 10);
+      if (isNaN(id)) throw new Error(`Unidade sem número em plant.json: ${JSON.stringify(unit)}`);
+      return Object.assign({}, unit, {
+        id,
+        name: unit.name || `UG#${String(id).padStart(2, '0')}`,
+        color: unit.color || '#999999'
+      });
+    }).sort((a, b) => a.id - b.id);
+    const tagPattern = config.tagPattern || base.tagPattern;
+    return {
+      name: config.name || base.name,
+      logo: config.logo || base.logo,
+      tagPattern,
+      // Compiled once here, see parseColumn
+      tagRegExp: new RegExp(tagPattern, 'i'),
+      defaultTag: config.defaultTag || base.defaultTag,
+      thresholds: Object.assign({}, base.thresholds, config.thresholds),
+      groups: config.groups,
+      units
+    };
+  }
+
+  /**
+   * Read plant.json, falling back to the built-in configuration.
+   *
+   * @returns {Promise<object>}
+   */
+  function load() {
+    return fetch(CONFIG_URL, { cache: 'no-cache' })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(normalise)
+      .catch(ex => {
+        console.error('Erro ao ler plant.json, usando a configuração padrão', ex);
+        return normalise(fallback());
+      });
+  }
+
+  /**
+   * Look up a unit by number.
+   *
+   * @param {object} config
+   * @param {number} id
+   * @returns {object|undefined}
+   */
+  function getUnit(config, id) {
+    return config.units.find(unit => unit.id === Number(id));
+  }
+
+  /**
+   * Display name of a unit, UG#nn for numbers missing from the config.
+   *
+   * @param {object} config
+   * @param {number} id
+   * @returns {string}
+   */
+  function unitName(config, id) {
+    const unit = getUnit(config, id);
+    return unit ? unit.name : `UG#${String(id).padStart(2, '0')}`;
+  }
+
+  /**
+   * Colour of a unit's series, grey for numbers missing from the config.
+   *
+   * @param {object} config
+   * @param {number} id
+   * @returns {string}
+   */
+  function unitColor(config, id) {
+    const unit = getUnit(config, id);
+    return unit ? unit.color : '#999999';
+  }
+
+  /**
+   * Split a historian column name into unit number and tag with the
+   * configured pattern: its first capture group is the unit number, the
+   * optional second one the tag (defaultTag when absent).
+   *
+   * @param {object} config
+   * @param {string} column
+   * @returns {{motorId: number, tag: string}|null} null for columns that
+   *   do not match
+   */
+  function parseColumn(config, column) {
+    const match = column.match(config.tagRegExp || new RegExp(config.tagPattern, 'i'));
+    if (!match) return null;
+    return {
+      motorId: parseInt(match[1], 10),
+      tag: match[2] ? match[2].toUpperCase() : config.defaultTag
+    };
+  }
+
+  return {
+    fallback,
+    normalise,
+    load,
+    getUnit,
+    unitName,
+    unitColor,
+    parseColumn
+  };
+});
@@ -0,0 +1,210 @@
+/*
+ * report.js
+ *
+ * Browser-side report generation for the plotting page. Tables are
+ * passed in as a list of headers plus rows of plain values, and can be
+ * downloaded as CSV, as an XLSX workbook (through SheetJS, loaded as
+ * the global XLSX) or opened as a print-ready page with the plant logo,
+ * a chart snapshot and the summary totals. Nothing is sent to a server.
+ *
+ * The API is exposed on window.Report in the browser and as the
+ * module's exports in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Report = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  /**
+   * Quote a value for CSV when it contains a separator, quote or line break.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[;"\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Build CSV text. Semicolons separate the fields and numbers use a
+   * decimal comma so that Excel in pt-BR opens the file directly.
+   *
+   * @param {string[]} headers
+   * @param {Array<Array<*>>} rows
+   * @returns {string}
+   */
+  function toCSV(headers, rows) {
+    const lines = [headers.map(csvCell).join(';')];
+    rows.forEach(row => {
+      lines.push(row.map(value => csvCell(typeof value === 'number' ? String(value).replace('.', ',') : value)).join(';'));
+    });
+    // The BOM makes Excel read the file as UTF-8 (accents, “°”)
+    return '\uFEFF' + lines.join('\r\n');
+  }
+
+  /**
+   * Offer a Blob to the user as a file download.
+   *
+   * @param {string} filename
+   * @param {Blob} blob
+   */
+  function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Download a table as CSV.
+   *
+   * @param {string} filename
+   * @param {string[]} headers
+   * @param {Array<Array<*>>} rows
+   */
+  function downloadCSV(filename, headers, rows) {
+    downloadBlob(filename, new Blob([toCSV(headers, rows)], { type: 'text/csv;charset=utf-8' }));
+  }
+
+  /**
+   * Download one or more tables as an XLSX workbook.
+   *
+   * @param {string} filename
+   * @param {Array<{name: string, headers: string[], rows: Array<Array<*>>}>} sheets
+   */
+  function downloadXLSX(filename, sheets) {
+    if (typeof XLSX === 'undefined') {
+      alert('A biblioteca de planilhas (SheetJS) não foi carregada. Use a exportação CSV.');
+      return;
+    }
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(sheet => {
+      const worksheet = XLSX.utils.aoa_to_sheet([sheet.headers].concat(sheet.rows));
+      XLSX.utils.book_append_sheet(workbook, worksheet, sheet.name.slice(0, 31));
+    });
+    XLSX.writeFile(workbook, filename);
+  }
+
+  /**
+   * Escape text for inclusion in HTML.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Open the window a print-ready report is written into, showing a
+   * placeholder meanwhile. It has to be called from the click handler
+   * itself: browsers block windows opened later, e.g. once the chart
+   * image has been rendered.
+   *
+   * @returns {Window|null} null, after telling the user, when the
+   *   browser blocked the window
+   */
+  function openPrintWindow() {
+    const win = window.open('', '_blank');
+    if (!win) {
+      alert('O navegador bloqueou a janela do relatório. Permita pop-ups para esta página.');
+      return null;
+    }
+    win.document.write(`<!DOCTYPE html>
+<html lang="pt-BR">
+<head><meta charset="UTF-8"><title>Relatório</title></head>
+<body style="font-family: Arial, Helvetica, sans-serif"><p>Preparando o relatório…</p></body>
+</html>`);
+    win.document.close();
+    return win;
+  }
+
+  /**
+   * Write a print-ready report into a window from openPrintWindow and
+   * start printing. The browser's print dialog can save it as PDF.
+   *
+   * @param {{ title: string, subtitle: string, logoSrc: string, chartImage: string|null, summary: Array<{label: string, value: string}>, sections: Array<{title: string, headers: string[], rows: Array<Array<*>>}> }} report
+   * @param {Window} win
+   */
+  function openPrintable(report, win) {
+    // Closed by the user while the chart image was rendered
+    if (win.closed) return;
+    const logoUrl = new URL(report.logoSrc, window.location.href).href;
+    const summaryHtml = report.summary
+      .map(item => `<tr><th>${escapeHtml(item.label)}</th><td>${escapeHtml(item.value)}</td></tr>`)
+      .join('');
+    const sectionsHtml = report.sections.map(section => {
+      const head = section.headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+      const body = section.rows
+        .map(row => `<tr>${row.map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`)
+        .join('');
+      return `<h2>${escapeHtml(section.title)}</h2><table class="data"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    }).join('');
+    const chartHtml = report.chartImage ? `<img class="chart" src="${report.chartImage}" alt="Gráfico">` : '';
+    // Replaces the placeholder
+    win.document.open();
+    win.document.write(`<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(report.title)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #111; margin: 1.5cm; font-size: 10pt; }
+    header { display: flex; align-items: center; gap: 1rem; border-bottom: 2px solid #007bff; padding-bottom: 0.5rem; }
+    header img { height: 50px; }
+    h1 { font-size: 16pt; margin: 0; }
+    h2 { font-size: 12pt; margin: 1rem 0 0.4rem; }
+    p.subtitle { margin: 0.2rem 0 0; color: #555; }
+    img.chart { width: 100%; margin: 0.8rem 0; border: 1px solid #ccc; }
+    table { border-collapse: collapse; width: 100%; }
+    table.summary th { text-align: left; width: 40%; }
+    th, td { border: 1px solid #bbb; padding: 3px 6px; font-size: 9pt; }
+    table.data th { background: #eef3fb; }
+    @page { size: A4 landscape; margin: 1cm; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <img src="${logoUrl}" alt="Pernambuco III">
+    <div>
+      <h1>${escapeHtml(report.title)}</h1>
+      <p class="subtitle">${escapeHtml(report.subtitle)}</p>
+    </div>
+  </header>
+  ${chartHtml}
+  <h2>Resumo</h2>
+  <table class="summary">${summaryHtml}</table>
+  ${sectionsHtml}
+  <script>
+    // Wait for the logo and chart image before opening the print dialog
+    window.addEventListener('load', () => window.print());
+  </script>
+</body>
+</html>`);
+    win.document.close();
+  }
+
+  return {
+    toCSV,
+    downloadCSV,
+    downloadXLSX,
+    escapeHtml,
+    openPrintWindow,
+    openPrintable
+  };
+});
@@ -2,62 +2,59 @@
  * script.js
  *
  * This script powers the main plotting page (index.html). It pulls
- * CSV data and heating selections from localStorage (populated by
- * data_script.js), parses the data with PapaParse, converts it into
- * a structure keyed by motor number, and then dynamically builds
- * interactive controls and a Plotly chart. Selecting motors and
- * adjusting the date/time range will redraw the chart and update the
- * availability and diesel saving metrics beneath it.
+ * CSV data and heater periods from the IndexedDB dataset store
+ * (populated by data_script.js), parses the data in a Web Worker
+ * (parse_worker.js) into a structure keyed by motor number, and then
+ * dynamically builds interactive controls and a Plotly chart.
+ * Selecting motors and adjusting the date/time range will redraw the
+ * chart and update the availability and diesel saving metrics beneath
+ * it. A picker above the controls switches between stored datasets.
+ * In live mode the page polls the historian gateway (see
+ * live_source.js) and appends the new readings as they arrive. The
+ * newest readings are checked against the alarm rules (see alarms.js),
+ * which raise a banner, a sound and optionally a browser notification.
+ * Clicking a curve attaches an operator note to that motor and time;
+ * notes are stored with the dataset, drawn on the chart, listed under
+ * it and included in the XLSX and printed reports. The view (dataset,
+ * motors, tags, ranges, zoom and chart type) is kept in the URL hash,
+ * so a reload or a shared link opens the same chart.
  */
 
 (function () {
 
-  // Global variables for diesel price (R$ per litre) and consumption (L per hour)
-  let dieselPrice = 5.30;
-  let dieselConsumption = 6.30;
-  /**
-   * Convert a date and time string into a JavaScript timestamp.
-   * The date may come in dd/mm/yy or mm/dd/yy format. To infer
-   * which is which, when the second part is greater than 12 it is
-   * assumed to be the day. Year values less than 100 are treated as
-   * 2000+year.
-   *
-   * @param {string} dateStr
-   * @param {string} timeStr
-   * @returns {number|null} timestamp in milliseconds or null on failure
-   */
-  function parseTimestamp(dateStr, timeStr) {
-    if (!dateStr || !timeStr) return null;
-    const parts = dateStr.split(/[\/\-]/);
-    if (parts.length < 3) return null;
-    let p1 = parseInt(parts[0], 10);
-    let p2 = parseInt(parts[1], 10);
-    let p3 = parseInt(parts[2], 10);
-    if (isNaN(p1) || isNaN(p2) || isNaN(p3)) return null;
-    let day, month, year;
-    if (p2 > 12 && p1 <= 12) {
-      // mm/dd/yy
-      month = p1;
-      day = p2;
-      year = p3;
-    } else if (p1 > 12 && p2 <= 12) {
-      // dd/mm/yy
-      day = p1;
-      month = p2;
-      year = p3;
-    } else {
-      // ambiguous, default mm/dd/yy
-      month = p1;
-      day = p2;
-      year = p3;
-    }
-    if (year < 100) {
-      year += 2000;
-    }
-    const iso = `${year.toString().padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}T${timeStr.trim()}`;
-    const d = new Date(iso);
-    const t = d.getTime();
-    return isNaN(t) ? null : t;
+  // Labels for the supported date formats, as shown to the user
+  const DATE_FORMAT_LABELS = { dmy: 'dd/mm/aa', mdy: 'mm/dd/aa', iso: 'aaaa-mm-dd' };
+
+  // Calculations shared with the command line tool (see metrics.js)
+  const { findGaps, formatDuration, FAULT_LABELS, detectFaults, computeMetrics, REPORT_HEADERS } = Metrics;
+
+  /**
+   * Numbers of the units in the plant configuration, in order.
+   *
+   * @returns {number[]}
+   */
+  function unitIds() {
+    return plant.units.map(unit => unit.id);
+  }
+
+  /**
+   * Display name of a unit, e.g. UG#07.
+   *
+   * @param {number} motorId
+   * @returns {string}
+   */
+  function unitName(motorId) {
+    return Plant.unitName(plant, motorId);
+  }
+
+  /**
+   * Colour of a unit's series.
+   *
+   * @param {number} motorId
+   * @returns {string}
+   */
+  function unitColor(motorId) {
+    return Plant.unitColor(plant, motorId);
   }
 
   /**
@@ -71,145 +68,225 @@
   }
 
   /**
-   * Parse a CSV text into an array of objects. This uses PapaParse in
-   * synchronous mode. Empty strings or invalid CSV return an empty
-   * array.
+   * Periods during which a motor had its electric heater installed,
+   * clipped to a time range (see Metrics.heaterIntervals).
    *
-   * @param {string} csvText
-   * @returns {Array<object>}
+   * @param {number} motorId
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {Array<[number, number]>}
    */
-  function parseCSV(csvText) {
-    if (!csvText) return [];
-    try {
-      const parsed = Papa.parse(csvText.trim(), {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: false
-      });
-      return Array.isArray(parsed.data) ? parsed.data : [];
-    } catch (ex) {
-      console.error('Erro ao analisar CSV:', ex);
-      return [];
-    }
-  }
-
-  /**
-   * Build the motor data structure from an array of parsed CSV tables.
-   *
-   * @param {Array<Array<object>>} tables
-   * @returns {{ motorData: object, minTime: number, maxTime: number }}
-   */
-  function buildDataStructure(tables) {
-    const motorData = {};
-    let minTime = Infinity;
-    let maxTime = -Infinity;
-    tables.forEach(table => {
-      table.forEach(row => {
-        // The date/time columns may begin with a dollar sign depending on export
-        const dateStr = row['$Date'] || row['Date'] || row['Data'] || row['data'] || '';
-        const timeStr = row['$Time'] || row['Time'] || row['Hora'] || row['hora'] || '';
-        const ts = parseTimestamp(dateStr, timeStr);
-        if (ts === null) return;
-        if (ts < minTime) minTime = ts;
-        if (ts > maxTime) maxTime = ts;
-        Object.keys(row).forEach(col => {
-          // Skip non-motor columns
-          if (/\$?(Date|Time|Data|Hora)/i.test(col)) return;
-          const cell = row[col];
-          if (cell === undefined || cell === null || cell === '') return;
-          // Convert value string to float, swapping comma for decimal point
-          const value = parseFloat(String(cell).replace(',', '.'));
-          if (isNaN(value)) return;
-          // Extract motor number: SCA071TE402PV => 07
-          const match = col.match(/SCA(\d{2})/i);
-          if (!match) return;
-          const motorId = parseInt(match[1], 10);
-          if (!motorData[motorId]) motorData[motorId] = [];
-          motorData[motorId].push({ t: ts, value: value });
-        });
-      });
-    });
-    // Sort each motor's data by timestamp
-    Object.keys(motorData).forEach(key => {
-      motorData[key].sort((a, b) => a.t - b.t);
-    });
-    return { motorData, minTime, maxTime };
+  function getHeaterIntervals(motorId, startTime, endTime) {
+    return Metrics.heaterIntervals(heaterPeriods, motorId, startTime, endTime);
   }
 
   /**
-   * Compute metrics for a given motor within a time range.
+   * Compute a motor's metrics with its own thresholds, heater periods,
+   * diesel consumption and heater power and the configured maximum
+   * sample gap and prices.
    *
-   * @param {Array<{t:number,value:number}>} dataArr
+   * @param {number} motorId
    * @param {number} startTime
    * @param {number} endTime
-   * @returns {{ availability: string, economiaLitros: number, economiaRS: number, economiaMes: number, lastTemperature: number|null }}
-   */
-  function computeMetrics(dataArr, startTime, endTime) {
-    if (!Array.isArray(dataArr) || dataArr.length === 0) {
-      return {
-        availability: '00:00 h',
-        economiaLitros: 0,
-        economiaRS: 0,
-        economiaMes: 0,
-        lastTemperature: null
-      };
+   * @returns {object} see Metrics.computeMetrics
+   */
+  function metricsFor(motorId, startTime, endTime) {
+    return computeMetrics(motorData[motorId], startTime, endTime, metricsOptions(motorId, startTime, endTime));
+  }
+
+  /**
+   * Options for computeMetrics from the settings and heater periods,
+   * with the diesel price dates and peak hours in the dataset's source
+   * time zone.
+   *
+   * @param {number} motorId
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {object} see Metrics.computeMetrics
+   */
+  function metricsOptions(motorId, startTime, endTime) {
+    return Metrics.metricsOptions(settings, heaterPeriods, motorId, startTime, endTime, sourceZone);
+  }
+
+  /**
+   * Estimate how fast a motor is cooling from the last fitHours of
+   * valid data in the range. Newton's law of cooling is assumed,
+   * T(t) = ambient + (T0 - ambient) * exp(-(t - t0) / tau), so
+   * ln(T - ambient) is fitted as a straight line over time. Only the
+   * continuous stretch after the last gap longer than maxGapMs is used,
+   * and points flagged as sensor faults are skipped.
+   *
+   * @param {Array<{t: number, value: number, fault?: string}>} dataArr
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {{ ambientTemp: number, fitHours: number }} coolDown
+   * @param {number} maxGapMs
+   * @returns {{ cooling: boolean, tauMs: number, ratePerHour: number, t0: number, lastTemperature: number, ambientTemp: number, r2: number }|null}
+   *   null when there is not enough data (fewer than three points or
+   *   less than an hour); cooling is false when the fitted curve is
+   *   flat or warming (heater on, motor running)
+   */
+  function estimateCoolDown(dataArr, startTime, endTime, coolDown, maxGapMs) {
+    if (!Array.isArray(dataArr)) return null;
+    const ambient = coolDown.ambientTemp;
+    const valid = dataArr.filter(p => p.t >= startTime && p.t <= endTime && !p.fault);
+    if (valid.length === 0) return null;
+    const last = valid[valid.length - 1];
+    const windowStart = last.t - coolDown.fitHours * 3600000;
+    // Walk back from the last point until the window or a gap ends the stretch
+    let first = valid.length - 1;
+    while (first > 0 && valid[first - 1].t >= windowStart && valid[first].t - valid[first - 1].t <= maxGapMs) {
+      first--;
     }
-    // Filter data points within range
-    const filtered = dataArr.filter(p => p.t >= startTime && p.t <= endTime);
-    if (filtered.length === 0) {
-      return {
-        availability: '00:00 h',
-        economiaLitros: 0,
-        economiaRS: 0,
-        economiaMes: 0,
-        lastTemperature: null
-      };
+    const points = valid.slice(first).filter(p => p.value - ambient > 0.5);
+    if (points.length < 3 || points[points.length - 1].t - points[0].t < 3600000) return null;
+    // Least squares on x = hours before the last point, y = ln(T - ambient)
+    const xs = points.map(p => (p.t - last.t) / 3600000);
+    const ys = points.map(p => Math.log(p.value - ambient));
+    const n = points.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxx += (xs[i] - meanX) ** 2;
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      syy += (ys[i] - meanY) ** 2;
     }
-    let availabilityMs = 0;
-    let economiaMs = 0;
-    let prev = filtered[0];
-    for (let i = 1; i < filtered.length; i++) {
-      const curr = filtered[i];
-      const dt = curr.t - prev.t;
-      if (prev.value > 50 && curr.value > 50) {
-        availabilityMs += dt;
-      }
-      if (prev.value > 40 && curr.value > 40) {
-        economiaMs += dt;
+    const slope = sxy / sxx;
+    const r2 = syy > 0 ? (sxy * sxy) / (sxx * syy) : 0;
+    const result = {
+      cooling: slope < 0,
+      tauMs: slope < 0 ? (-1 / slope) * 3600000 : Infinity,
+      ratePerHour: 0,
+      t0: last.t,
+      lastTemperature: last.value,
+      ambientTemp: ambient,
+      r2
+    };
+    if (result.cooling) {
+      // Slope of the curve at the last point
+      result.ratePerHour = (last.value - ambient) * -slope;
+    }
+    return result;
+  }
+
+  /**
+   * Temperature predicted by a cool-down fit at time t.
+   *
+   * @param {object} fit see estimateCoolDown
+   * @param {number} t
+   * @returns {number}
+   */
+  function coolDownTemperature(fit, t) {
+    return fit.ambientTemp + (fit.lastTemperature - fit.ambientTemp) * Math.exp(-(t - fit.t0) / fit.tauMs);
+  }
+
+  /**
+   * Time from the end of a cool-down fit until the motor reaches limit.
+   *
+   * @param {object} fit see estimateCoolDown
+   * @param {number} limit
+   * @returns {number|null} 0 when already at or below the limit, null
+   *   when it is never reached (not cooling, or ambient above the limit)
+   */
+  function timeToLimit(fit, limit) {
+    if (fit.lastTemperature <= limit) return 0;
+    if (!fit.cooling || fit.ambientTemp >= limit) return null;
+    return fit.tauMs * Math.log((fit.lastTemperature - fit.ambientTemp) / (limit - fit.ambientTemp));
+  }
+
+  /**
+   * Cool-down fit of a motor with the configured parameters.
+   *
+   * @param {number} motorId
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {object|null} see estimateCoolDown
+   */
+  function coolDownFor(motorId, startTime, endTime) {
+    return estimateCoolDown(motorData[motorId], startTime, endTime, settings.coolDown,
+      settings.dataQuality.maxGapMinutes * 60000);
+  }
+
+  /**
+   * List the times a motor was below its start temperature limit. The
+   * walk is the same as computeMetrics: points flagged as sensor faults
+   * are skipped, and each sample interval that has at least one end at
+   * or below the limit counts as unavailable unless it is longer than
+   * maxGapMs. An event opens at the first sample at or below the limit
+   * and closes at the first sample back above it, so the event
+   * durations add up to the unavailable time behind the availability
+   * figure, apart from the intervals across the ends of the range that
+   * computeMetrics also counts in part.
+   *
+   * @param {Array<{t: number, value: number, fault?: string}>} dataArr
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {number} limit start temperature (°C)
+   * @param {number} maxGapMs
+   * @returns {Array<{from: number, to: number|null, belowMs: number, minTemperature: number, minTime: number, openStart: boolean}>}
+   *   to is null when the motor had not recovered by the end of the
+   *   range; openStart is true when it was already below at the start
+   */
+  function findLimitEvents(dataArr, startTime, endTime, limit, maxGapMs) {
+    const events = [];
+    if (!Array.isArray(dataArr)) return events;
+    const points = dataArr.filter(p => p.t >= startTime && p.t <= endTime && !p.fault);
+    let current = null;
+    let prev = null;
+    for (const point of points) {
+      const dt = prev ? point.t - prev.t : 0;
+      const covered = prev && dt <= maxGapMs ? dt : 0;
+      if (point.value > limit) {
+        if (current) {
+          // Recovered: the interval back above the limit is still unavailable
+          current.belowMs += covered;
+          current.to = point.t;
+          events.push(current);
+          current = null;
+        }
+      } else {
+        if (!current) {
+          current = {
+            from: point.t,
+            to: null,
+            belowMs: 0,
+            minTemperature: point.value,
+            minTime: point.t,
+            openStart: prev === null
+          };
+        }
+        current.belowMs += covered;
+        if (point.value < current.minTemperature) {
+          current.minTemperature = point.value;
+          current.minTime = point.t;
+        }
       }
-      prev = curr;
+      prev = point;
     }
-    const availHrs = availabilityMs / 3600000;
-    const availHours = Math.floor(availHrs);
-    const availMinutes = Math.floor((availHrs - availHours) * 60);
-    const availability = `${String(availHours).padStart(2, '0')}:${String(availMinutes).padStart(2, '0')} h`;
-    // Compute savings based on dynamic diesel consumption and price
-    const economiaLitros = (economiaMs / 3600000) * dieselConsumption;
-    const economiaRS = economiaLitros * dieselPrice;
-    // Monthly projection: multiply by 30 (days) according to spec
-    const economiaMes = economiaRS * 30;
-    const lastTemperature = filtered[filtered.length - 1].value;
-    return { availability, economiaLitros, economiaRS, economiaMes, lastTemperature };
+    if (current) events.push(current);
+    return events;
   }
 
   /**
    * Render the buttons used to toggle each motor series on or off.
    *
-   * @param {object} motorData
-   * @param {string[]} colors
+   * @param {object} tagData series per motor and tag
    */
-  function renderMotorButtons(motorData, colors) {
+  function renderMotorButtons(tagData) {
     const container = document.getElementById('motorButtons');
     container.innerHTML = '';
-    for (let motorId = 1; motorId <= 23; motorId++) {
+    for (const motorId of unitIds()) {
       const btn = document.createElement('button');
       btn.className = 'motor-button';
-      btn.textContent = `Motor#${motorId}`;
+      btn.textContent = unitName(motorId);
       btn.dataset.motor = motorId;
-      const color = colors[motorId - 1];
+      const color = unitColor(motorId);
       btn.style.background = color;
-      // Disable button if no data
-      if (!motorData[motorId] || motorData[motorId].length === 0) {
+      // Disable button if no data for any tag
+      if (!tagData[motorId] || Object.keys(tagData[motorId]).length === 0) {
         btn.disabled = true;
         btn.style.opacity = 0.4;
       }
@@ -223,283 +300,2394 @@
   }
 
   /**
-   * Build the Plotly chart based on selected motors and time range.
+   * Format a timestamp for a datetime-local input (YYYY-MM-DDTHH:MM,
+   * local time, seconds omitted).
+   *
+   * @param {number} ms
+   * @returns {string}
    */
-  function updateChart() {
+  function toLocalInputValue(ms) {
+    const d = new Date(ms);
+    const yyyy = d.getFullYear().toString().padStart(4, '0');
+    return `${yyyy}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+
+  /**
+   * Render one checkbox per tag found in the dataset. The availability
+   * tag is marked; the selector is hidden when there is only one tag.
+   */
+  function renderTagSelector() {
+    const container = document.getElementById('tagSelector');
+    container.innerHTML = '';
+    container.style.display = tagList.length > 1 ? 'flex' : 'none';
+    const title = document.createElement('span');
+    title.textContent = 'Tags:';
+    container.appendChild(title);
+    tagList.forEach(tag => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = tag;
+      checkbox.checked = selectedTags.includes(tag);
+      checkbox.addEventListener('change', () => {
+        selectedTags = Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+        updateChart();
+      });
+      label.appendChild(checkbox);
+      const suffix = tag === settings.tags.availability ? ' (disponibilidade)' : '';
+      label.appendChild(document.createTextNode(` ${tag}${suffix}`));
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * Series of one tag for every motor that has it.
+   *
+   * @param {string} tag
+   * @returns {object} motor number → points
+   */
+  function seriesForTag(tag) {
+    const series = {};
+    Object.keys(tagData).forEach(motorId => {
+      if (tagData[motorId][tag]) series[motorId] = tagData[motorId][tag];
+    });
+    return series;
+  }
+
+  /**
+   * Read the time range from the start/end inputs.
+   *
+   * @returns {{ startTime: number, endTime: number }}
+   */
+  function getSelectedRange() {
     const startInput = document.getElementById('startTime');
     const endInput = document.getElementById('endTime');
-    const startTime = new Date(startInput.value).getTime();
-    const endTime = new Date(endInput.value).getTime();
-    const selectedButtons = Array.from(document.querySelectorAll('.motor-button.active'));
-    const selectedMotors = selectedButtons.map(btn => parseInt(btn.dataset.motor, 10));
+    return {
+      startTime: new Date(startInput.value).getTime(),
+      endTime: new Date(endInput.value).getTime()
+    };
+  }
+
+  /**
+   * Read the comparison range when comparison mode is on.
+   *
+   * @returns {{ startTime: number, endTime: number }|null} null when the
+   *   mode is off or the range is incomplete
+   */
+  function getCompareRange() {
+    if (!document.getElementById('compareMode').checked) return null;
+    const startTime = new Date(document.getElementById('compareStart').value).getTime();
+    const endTime = new Date(document.getElementById('compareEnd').value).getTime();
+    if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) return null;
+    return { startTime, endTime };
+  }
+
+  /**
+   * Rebuild the chart, metric cards, quality panel and event log for the
+   * selected motors and time range. With a comparison range the chart
+   * overlays both periods and the cards show both. In the fleet view
+   * the heatmap replaces the line chart.
+   */
+  function updateChart() {
+    const { startTime, endTime } = getSelectedRange();
+    const selectedMotors = selectedMotorIds();
+    const compareRange = getCompareRange();
+    if (currentView === 'heatmap') {
+      drawHeatmap(startTime, endTime);
+    } else if (compareRange) {
+      drawComparisonChart({ startTime, endTime }, compareRange, selectedMotors);
+    } else {
+      drawTimeChart(startTime, endTime, selectedMotors, lineZoom);
+    }
+    updateMetrics(startTime, endTime, selectedMotors, compareRange);
+    updateQualityPanel(startTime, endTime, selectedMotors);
+    updateEventLog(startTime, endTime);
+    renderNotes(startTime, endTime);
+    writeHash();
+  }
+
+  /**
+   * Numbers of the motors whose buttons are active.
+   *
+   * @returns {number[]}
+   */
+  function selectedMotorIds() {
+    return Array.from(document.querySelectorAll('.motor-button.active')).map(btn => parseInt(btn.dataset.motor, 10));
+  }
+
+  /**
+   * Split a range into local calendar days or clock hours.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {string} bucket 'day' or 'hour'
+   * @returns {Array<{start: number, from: number, to: number}>} start is
+   *   the local midnight or full hour the bucket begins at, from and to
+   *   its part inside the range
+   */
+  function timeBuckets(startTime, endTime, bucket) {
+    const buckets = [];
+    const d = new Date(startTime);
+    if (bucket === 'day') {
+      d.setHours(0, 0, 0, 0);
+    } else {
+      d.setMinutes(0, 0, 0);
+    }
+    while (d.getTime() < endTime) {
+      const from = d.getTime();
+      if (bucket === 'day') {
+        d.setDate(d.getDate() + 1);
+      } else {
+        d.setHours(d.getHours() + 1);
+      }
+      buckets.push({ start: from, from: Math.max(from, startTime), to: Math.min(d.getTime(), endTime) });
+    }
+    return buckets;
+  }
+
+  /**
+   * Index of the first point at or after t (binary search).
+   *
+   * @param {Array<{t: number}>} dataArr sorted by time
+   * @param {number} t
+   * @returns {number}
+   */
+  function firstIndexAtOrAfter(dataArr, t) {
+    let lo = 0;
+    let hi = dataArr.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (dataArr[mid].t < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Reduce a series to what the chart can show: the points between
+   * startTime and endTime are split into `buckets` equal stretches of
+   * time and only the lowest and highest point of each are kept, in
+   * time order, so peaks and dips across a limit stay visible. With a
+   * view (the window zoomed into) the buckets cover that window plus
+   * the nearest point on each side, so the lines reach its edges.
+   *
+   * @param {Array<{t: number, value: number}>} dataArr sorted by time
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {number} buckets
+   * @param {{from: number, to: number}|null} [view]
+   * @returns {Array<{t: number, value: number}>}
+   */
+  function downsample(dataArr, startTime, endTime, buckets, view) {
+    let lo = firstIndexAtOrAfter(dataArr, startTime);
+    let hi = firstIndexAtOrAfter(dataArr, endTime + 1);
+    if (view) {
+      lo = Math.max(lo, firstIndexAtOrAfter(dataArr, view.from) - 1);
+      hi = Math.min(hi, firstIndexAtOrAfter(dataArr, view.to + 1) + 1);
+    }
+    if (hi - lo <= buckets * 2) return dataArr.slice(lo, hi);
+    const from = dataArr[lo].t;
+    const size = (dataArr[hi - 1].t - from) / buckets || 1;
+    const result = [];
+    let current = -1;
+    let min = null;
+    let max = null;
+    const flush = () => {
+      if (min === null) return;
+      if (min === max) result.push(min);
+      else if (min.t < max.t) result.push(min, max);
+      else result.push(max, min);
+    };
+    for (let i = lo; i < hi; i++) {
+      const point = dataArr[i];
+      const bucket = Math.min(Math.floor((point.t - from) / size), buckets - 1);
+      if (bucket !== current) {
+        flush();
+        current = bucket;
+        min = point;
+        max = point;
+      } else if (point.value < min.value) {
+        min = point;
+      } else if (point.value > max.value) {
+        max = point;
+      }
+    }
+    flush();
+    return result;
+  }
+
+  /**
+   * Number of time buckets a series is reduced to: about one per pixel
+   * of the chart's width.
+   *
+   * @returns {number}
+   */
+  function chartResolution() {
+    return Math.max(200, document.getElementById('chart').clientWidth || 1000);
+  }
+
+  /**
+   * Timestamp of an axis value from a plotly_relayout event: a Date, a
+   * number or a 'yyyy-mm-dd hh:mm:ss' string in local time.
+   *
+   * @param {Date|number|string} value
+   * @returns {number}
+   */
+  function plotlyTime(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value;
+    return new Date(String(value).replace(' ', 'T')).getTime();
+  }
+
+  /**
+   * Redraw the line chart for a zoom, pan or reset so the series are
+   * re-sampled for the new visible window.
+   *
+   * @param {object} event plotly_relayout event data
+   */
+  function resampleOnZoom(event) {
+    let view;
+    if (event['xaxis.autorange']) {
+      view = null;
+    } else if (event['xaxis.range[0]'] !== undefined && event['xaxis.range[1]'] !== undefined) {
+      view = { from: plotlyTime(event['xaxis.range[0]']), to: plotlyTime(event['xaxis.range[1]']) };
+    } else if (Array.isArray(event['xaxis.range'])) {
+      view = { from: plotlyTime(event['xaxis.range'][0]), to: plotlyTime(event['xaxis.range'][1]) };
+    } else {
+      return;
+    }
+    if (view && (isNaN(view.from) || isNaN(view.to))) return;
+    lineZoom = view;
+    const { startTime, endTime } = getSelectedRange();
+    drawTimeChart(startTime, endTime, selectedMotorIds(), view);
+    writeHash();
+  }
+
+  /**
+   * Draw the fleet view: one heatmap row per motor with data and one
+   * column per day (or hour) of the range, coloured by the time above
+   * the start limit as computed by computeMetrics. Cells where a heater
+   * was installed are marked, and cells without valid data are blank.
+   * Clicking a cell opens that motor and day in the line chart.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   */
+  function drawHeatmap(startTime, endTime) {
+    const bucket = document.getElementById('heatmapBucket').value;
+    const buckets = timeBuckets(startTime, endTime, bucket);
+    const motors = [];
+    for (const motorId of unitIds()) {
+      if (motorData[motorId] && motorData[motorId].length > 0) motors.push(motorId);
+    }
+    const x = buckets.map(b => new Date(b.start));
+    const y = motors.map(id => `${unitName(id)}`);
+    const z = [];
+    const hover = [];
+    const heaterX = [];
+    const heaterY = [];
+    motors.forEach(motorId => {
+      const dataArr = motorData[motorId];
+      const row = [];
+      const hoverRow = [];
+      const limit = Settings.getThresholds(settings, motorId).startTemp;
+      buckets.forEach(b => {
+        // Only hand computeMetrics the points of this bucket, plus one on
+        // each side for the sample intervals across its ends
+        const slice = dataArr.slice(Math.max(firstIndexAtOrAfter(dataArr, b.from) - 1, 0),
+          firstIndexAtOrAfter(dataArr, b.to + 1) + 1);
+        const options = metricsOptions(motorId, b.from, b.to);
+        const heaterIntervals = options.heaterIntervals;
+        const metrics = computeMetrics(slice, b.from, b.to, options);
+        const hours = metrics.availabilityMs / 3600000;
+        row.push(metrics.coverage > 0 ? hours : null);
+        const heater = heaterIntervals.length > 0;
+        if (heater) {
+          heaterX.push(new Date(b.start));
+          heaterY.push(`${unitName(motorId)}`);
+        }
+        hoverRow.push(metrics.coverage > 0 ?
+          `Acima de ${limit}°C: ${formatDuration(metrics.availabilityMs)}<br>Cobertura: ${(metrics.coverage * 100).toFixed(1)} %<br>Aquecedor: ${heater ? 'sim' : 'não'}` :
+          `Sem dados válidos<br>Aquecedor: ${heater ? 'sim' : 'não'}`);
+      });
+      z.push(row);
+      hover.push(hoverRow);
+    });
+    const bucketHours = bucket === 'day' ? 24 : 1;
+    const dateFormat = bucket === 'day' ? '%d/%m/%y' : '%d/%m/%y %H:00';
+    const traces = [{
+      x,
+      y,
+      z,
+      text: hover,
+      type: 'heatmap',
+      zmin: 0,
+      zmax: bucketHours,
+      colorscale: [[0, '#d62728'], [0.5, '#ff9f43'], [1, '#2ca02c']],
+      colorbar: { title: 'h acima', tickfont: { color: '#bbb' } },
+      xgap: 1,
+      ygap: 1,
+      hovertemplate: `<b>%{y}</b> – %{x|${dateFormat}}<br>%{text}<extra></extra>`
+    }, {
+      x: heaterX,
+      y: heaterY,
+      type: 'scatter',
+      mode: 'markers',
+      name: 'Aquecedor instalado',
+      marker: { symbol: 'diamond', size: 6, color: '#ffffff', line: { width: 0 } },
+      hoverinfo: 'skip'
+    }];
+    const layout = chartLayout({ type: 'date', tickformat: dateFormat }, []);
+    layout.yaxis = {
+      type: 'category',
+      autorange: 'reversed',
+      tickfont: { color: '#bbb' }
+    };
+    layout.showlegend = true;
+    layout.legend = { orientation: 'h', y: -0.15 };
+    layout.margin = { t: 10, r: 10, b: 70, l: 60 };
+    Plotly.react('chart', traces, layout, { responsive: true });
+    const chartEl = document.getElementById('chart');
+    chartEl.removeAllListeners('plotly_relayout');
+    chartEl.removeAllListeners('plotly_click');
+    chartEl.on('plotly_click', event => {
+      const point = event.points[0];
+      if (!point || point.data.type !== 'heatmap') return;
+      const [row, col] = point.pointIndex;
+      openInLineChart(motors[row], buckets[col]);
+    });
+  }
+
+  /**
+   * Leave the fleet view and show one motor over one heatmap cell's time.
+   *
+   * @param {number} motorId
+   * @param {{ from: number, to: number }} bucket
+   */
+  function openInLineChart(motorId, bucket) {
+    document.querySelectorAll('.motor-button').forEach(btn => {
+      btn.classList.toggle('active', parseInt(btn.dataset.motor, 10) === motorId);
+    });
+    // The cell is on the absolute time axis, so leave comparison mode
+    document.getElementById('compareMode').checked = false;
+    toggleCompareInputs();
+    document.getElementById('startTime').value = toLocalInputValue(bucket.from);
+    document.getElementById('endTime').value = toLocalInputValue(bucket.to);
+    lineZoom = null;
+    setView('line');
+  }
+
+  /**
+   * Switch between the line chart and the fleet heatmap.
+   *
+   * @param {string} view 'line' or 'heatmap'
+   */
+  function setView(view) {
+    currentView = view;
+    document.getElementById('viewLine').classList.toggle('active', view === 'line');
+    document.getElementById('viewHeatmap').classList.toggle('active', view === 'heatmap');
+    document.getElementById('heatmapOptions').style.display = view === 'heatmap' ? 'flex' : 'none';
+    document.getElementById('chart').classList.toggle('heatmap', view === 'heatmap');
+    updateChart();
+  }
+
+  /**
+   * Plotly layout shared by the charts, with the given x axis.
+   *
+   * @param {object} xaxis
+   * @param {Array<object>} shapes
+   * @returns {object}
+   */
+  function chartLayout(xaxis, shapes) {
+    return {
+      shapes,
+      xaxis: Object.assign({
+        title: '',
+        showgrid: true,
+        gridcolor: '#333',
+        tickfont: { color: '#bbb' }
+      }, xaxis),
+      yaxis: {
+        title: 'Temperatura (°C)',
+        range: [20, 80],
+        showgrid: true,
+        gridcolor: '#333',
+        tickfont: { color: '#bbb' }
+      },
+      margin: { t: 10, r: 10, b: 50, l: 60 },
+      plot_bgcolor: '#080808',
+      paper_bgcolor: '#080808',
+      font: { color: '#f5f5f5' },
+      hovermode: 'closest'
+    };
+  }
+
+  /**
+   * Overlay two periods on a relative time axis: hours since the start
+   * of each period. The first period is drawn solid and the comparison
+   * period dashed, in the motor's colour.
+   *
+   * @param {{ startTime: number, endTime: number }} range
+   * @param {{ startTime: number, endTime: number }} compareRange
+   * @param {Array<number>} selectedMotors
+   */
+  function drawComparisonChart(range, compareRange, selectedMotors) {
+    const traces = [];
+    const hours = Math.max(range.endTime - range.startTime, compareRange.endTime - compareRange.startTime) / 3600000;
+    const plantLimit = settings.thresholds.startTemp;
+    traces.push({
+      x: [0, hours],
+      y: [plantLimit, plantLimit],
+      type: 'scatter',
+      mode: 'lines',
+      name: '',
+      line: { color: '#ff4d4d', width: 1, dash: 'dot' },
+      hovertemplate: `Temp. mínima para partida: ${plantLimit}°C<extra></extra>`,
+      showlegend: false
+    });
+    selectedMotors.forEach(motorId => {
+      [[range, 'período 1', 'solid'], [compareRange, 'período 2', 'dash']].forEach(([period, label, dash]) => {
+        const x = [];
+        const y = [];
+        const when = [];
+        for (const point of downsample(motorData[motorId] || [], period.startTime, period.endTime, chartResolution())) {
+          x.push((point.t - period.startTime) / 3600000);
+          y.push(point.value);
+          when.push(new Date(point.t));
+        }
+        traces.push({
+          x,
+          y,
+          customdata: when,
+          type: 'scatter',
+          mode: 'lines',
+          name: `${unitName(motorId)} – ${label}`,
+          line: { color: unitColor(motorId), width: 2, dash },
+          hovertemplate: `<b>${unitName(motorId)}</b> – ${label}<br>%{customdata|%d/%m/%y %H:%M}<br>%{y:.1f}°C<extra></extra>`
+        });
+      });
+    });
+    const layout = chartLayout({
+      title: 'Horas desde o início de cada período',
+      type: 'linear',
+      range: [0, hours]
+    }, []);
+    Plotly.react('chart', traces, layout, { responsive: true });
+    document.getElementById('chart').removeAllListeners('plotly_relayout');
+    document.getElementById('chart').removeAllListeners('plotly_click');
+  }
+
+  /**
+   * Draw the selected motors and tags over the time range with limit
+   * lines, suspected sensor faults, cool-down forecasts and heater
+   * periods. Series are down-sampled to the chart's width; zooming in
+   * draws the chart again for the visible window (see resampleOnZoom).
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {Array<number>} selectedMotors
+   * @param {{from: number, to: number}|null} [view] window zoomed into
+   */
+  function drawTimeChart(startTime, endTime, selectedMotors, view) {
     // Build traces
     const traces = [];
-    // Horizontal limit line at 50°C
-    if (startTime && endTime) {
+    // The availability tag goes on the main axis, every other selected
+    // tag on its own secondary axis
+    const availabilityTag = settings.tags.availability;
+    const plotTags = selectedTags.includes(availabilityTag) ?
+      [availabilityTag].concat(selectedTags.filter(tag => tag !== availabilityTag)) : selectedTags.slice();
+    const showAvailabilityTag = plotTags[0] === availabilityTag;
+    // Horizontal limit line at the plant-wide start temperature, plus one
+    // line in the motor's colour for each selected motor with its own
+    // limit. Limits, faults and forecasts belong to the availability tag.
+    if (startTime && endTime && showAvailabilityTag) {
+      const plantLimit = settings.thresholds.startTemp;
       traces.push({
         x: [new Date(startTime), new Date(endTime)],
-        y: [50, 50],
+        y: [plantLimit, plantLimit],
         type: 'scatter',
         mode: 'lines',
         name: '',
         line: { color: '#ff4d4d', width: 1, dash: 'dot' },
-        hovertemplate: 'Temp. mínima para partida<extra></extra>',
+        hovertemplate: `Temp. mínima para partida: ${plantLimit}°C<extra></extra>`,
         showlegend: false
       });
+      selectedMotors.forEach(motorId => {
+        const limit = Settings.getThresholds(settings, motorId).startTemp;
+        if (limit === plantLimit) return;
+        traces.push({
+          x: [new Date(startTime), new Date(endTime)],
+          y: [limit, limit],
+          type: 'scatter',
+          mode: 'lines',
+          name: '',
+          line: { color: unitColor(motorId), width: 1, dash: 'dot' },
+          hovertemplate: `${unitName(motorId)} – temp. mínima para partida: ${limit}°C<extra></extra>`,
+          showlegend: false
+        });
+      });
     }
+    const tagDashes = ['solid', 'dot', 'dashdot', 'longdash'];
     selectedMotors.forEach(motorId => {
-      const dataArr = motorData[motorId] || [];
-      // Filter points within range
-      const x = [];
-      const y = [];
-      for (const point of dataArr) {
-        if (point.t >= startTime && point.t <= endTime) {
+      plotTags.forEach((tag, tagIndex) => {
+        const dataArr = (tagData[motorId] && tagData[motorId][tag]) || [];
+        // Points within range, at most two per pixel
+        const x = [];
+        const y = [];
+        for (const point of downsample(dataArr, startTime, endTime, chartResolution(), view)) {
           x.push(new Date(point.t));
           y.push(point.value);
         }
+        const name = plotTags.length > 1 ? `${unitName(motorId)} ${tag}` : `${unitName(motorId)}`;
+        traces.push({
+          x: x,
+          y: y,
+          yaxis: tagIndex === 0 ? 'y' : `y${tagIndex + 1}`,
+          type: 'scatter',
+          mode: 'lines',
+          name,
+          // Read back by addNoteAt to know which motor was clicked
+          meta: motorId,
+          line: { color: unitColor(motorId), width: 2, dash: tagDashes[tagIndex % tagDashes.length] },
+          hovertemplate: `<b>${name}</b><br>%{x|%d/%m/%y %H:%M}<br>%{y:.1f}${tagUnit(tag)}<extra></extra>`
+        });
+      });
+    });
+    selectedMotors.forEach(motorId => {
+      if (!showAvailabilityTag) return;
+      const dataArr = motorData[motorId] || [];
+      // Mark suspected sensor faults with red crosses
+      const faultX = [];
+      const faultY = [];
+      const faultText = [];
+      for (const point of dataArr) {
+        if (point.fault && point.t >= startTime && point.t <= endTime) {
+          faultX.push(new Date(point.t));
+          faultY.push(point.value);
+          faultText.push(FAULT_LABELS[point.fault]);
+        }
+      }
+      if (faultX.length > 0) {
+        traces.push({
+          x: faultX,
+          y: faultY,
+          text: faultText,
+          type: 'scatter',
+          mode: 'markers',
+          name: `${unitName(motorId)} – falha`,
+          marker: { color: '#ff4d4d', symbol: 'x', size: 7 },
+          hovertemplate: `<b>${unitName(motorId)}</b> – falha de sensor suspeita (%{text})<br>%{x|%d/%m/%y %H:%M}<br>%{y:.1f}°C<extra></extra>`,
+          showlegend: false
+        });
       }
+    });
+    // Dashed cool-down forecast from the last sample, up to the start
+    // limit or the forecast horizon, whichever comes first
+    let forecastEnd = endTime;
+    selectedMotors.forEach(motorId => {
+      if (!showAvailabilityTag) return;
+      const fit = coolDownFor(motorId, startTime, endTime);
+      if (!fit || !fit.cooling) return;
+      const limit = Settings.getThresholds(settings, motorId).startTemp;
+      const horizonMs = settings.coolDown.forecastHours * 3600000;
+      const untilLimit = timeToLimit(fit, limit);
+      const spanMs = untilLimit === null || untilLimit === 0 ? horizonMs : Math.min(untilLimit, horizonMs);
+      const x = [];
+      const y = [];
+      const steps = 40;
+      for (let i = 0; i <= steps; i++) {
+        const t = fit.t0 + (spanMs * i) / steps;
+        x.push(new Date(t));
+        y.push(coolDownTemperature(fit, t));
+      }
+      forecastEnd = Math.max(forecastEnd, fit.t0 + spanMs);
       traces.push({
-        x: x,
-        y: y,
+        x,
+        y,
         type: 'scatter',
         mode: 'lines',
-        name: `UG#${pad(motorId)}`,
-        line: { color: colors[motorId - 1], width: 2 },
-        hovertemplate: `<b>UG#${pad(motorId)}</b><br>%{x|%d/%m/%y %H:%M}<br>%{y:.1f}°C<extra></extra>`
+        name: `${unitName(motorId)} – previsão`,
+        line: { color: unitColor(motorId), width: 2, dash: 'dash' },
+        hovertemplate: `<b>${unitName(motorId)}</b> – previsão de resfriamento<br>%{x|%d/%m/%y %H:%M}<br>%{y:.1f}°C<extra></extra>`,
+        showlegend: false
       });
     });
-    const layout = {
-      xaxis: {
-        title: '',
-        type: 'date',
-        range: [new Date(startTime), new Date(endTime)],
-        showgrid: true,
-        gridcolor: '#333',
-        tickfont: { color: '#bbb' }
-      },
-      yaxis: {
-        title: 'Temperatura (°C)',
-        range: [20, 80],
-        showgrid: true,
-        gridcolor: '#333',
+    // Shaded bands for the periods each selected motor had a heater installed
+    const shapes = [];
+    selectedMotors.forEach(motorId => {
+      getHeaterIntervals(motorId, startTime, endTime).forEach(([from, to]) => {
+        shapes.push({
+          type: 'rect',
+          xref: 'x',
+          yref: 'paper',
+          x0: new Date(from),
+          x1: new Date(to),
+          y0: 0,
+          y1: 1,
+          fillcolor: unitColor(motorId),
+          opacity: 0.12,
+          line: { width: 0 },
+          layer: 'below'
+        });
+      });
+    });
+    // Operator notes of the selected motors: a dotted line at their time
+    // with the start of the text on top and the whole text on hover
+    const annotations = [];
+    notesInRange(startTime, endTime).filter(note => selectedMotors.includes(note.motor)).forEach(note => {
+      const color = unitColor(note.motor);
+      shapes.push({
+        type: 'line',
+        xref: 'x',
+        yref: 'paper',
+        x0: new Date(note.t),
+        x1: new Date(note.t),
+        y0: 0,
+        y1: 1,
+        line: { color, width: 1, dash: 'dot' }
+      });
+      const short = note.text.length > NOTE_LABEL_LENGTH ? `${note.text.slice(0, NOTE_LABEL_LENGTH)}…` : note.text;
+      annotations.push({
+        x: new Date(note.t),
+        y: 1,
+        xref: 'x',
+        yref: 'paper',
+        xanchor: 'left',
+        yanchor: 'top',
+        showarrow: false,
+        text: `📝 ${Report.escapeHtml(short)}`,
+        hovertext: `<b>${unitName(note.motor)}</b> – ${formatDateTime(note.t)}<br>${Report.escapeHtml(note.text)}`,
+        font: { size: 10, color },
+        bgcolor: 'rgba(8, 8, 8, 0.8)'
+      });
+    });
+    const layout = chartLayout({
+      type: 'date',
+      range: view ? [new Date(view.from), new Date(view.to)] : [new Date(startTime), new Date(forecastEnd)]
+    }, shapes);
+    layout.annotations = annotations;
+    addTagAxes(layout, plotTags, showAvailabilityTag);
+    Plotly.react('chart', traces, layout, { responsive: true });
+    const chartEl = document.getElementById('chart');
+    chartEl.removeAllListeners('plotly_relayout');
+    chartEl.on('plotly_relayout', resampleOnZoom);
+    chartEl.removeAllListeners('plotly_click');
+    chartEl.on('plotly_click', addNoteAt);
+  }
+
+  /**
+   * Unit shown for a tag's values: °C for temperature elements (TE…),
+   * nothing for other instruments.
+   *
+   * @param {string} tag
+   * @returns {string}
+   */
+  function tagUnit(tag) {
+    return /^TE/.test(tag) ? '°C' : '';
+  }
+
+  /**
+   * Give each plotted tag its own y axis: the first uses the main axis,
+   * the others are stacked on the right, shrinking the plot area to
+   * make room for them. The fixed 20–80 °C range only applies when the
+   * first tag is the availability tag.
+   *
+   * @param {object} layout see chartLayout
+   * @param {string[]} plotTags
+   * @param {boolean} showAvailabilityTag
+   */
+  function addTagAxes(layout, plotTags, showAvailabilityTag) {
+    if (plotTags.length === 0) return;
+    const unit = tag => (tagUnit(tag) ? ` (${tagUnit(tag)})` : '');
+    layout.yaxis.title = plotTags[0] + unit(plotTags[0]);
+    if (!showAvailabilityTag) {
+      delete layout.yaxis.range;
+      layout.yaxis.autorange = true;
+    }
+    const extra = plotTags.length - 1;
+    // Each axis beyond the first secondary one takes 7 % of the width
+    const domainEnd = extra > 1 ? 1 - 0.07 * (extra - 1) : 1;
+    layout.xaxis.domain = [0, domainEnd];
+    plotTags.slice(1).forEach((tag, i) => {
+      const axis = {
+        title: tag + unit(tag),
+        overlaying: 'y',
+        side: 'right',
+        anchor: 'x',
+        showgrid: false,
         tickfont: { color: '#bbb' }
-      },
-      margin: { t: 10, r: 10, b: 50, l: 60 },
-      plot_bgcolor: '#080808',
-      paper_bgcolor: '#080808',
-      font: { color: '#f5f5f5' },
-      hovermode: 'closest'
+      };
+      if (i > 0) {
+        axis.anchor = 'free';
+        axis.position = domainEnd + 0.07 * i;
+      }
+      layout[`yaxis${i + 2}`] = axis;
+    });
+    if (extra > 0) layout.margin.r = 60;
+  }
+
+  /**
+   * Build a small table element from headers and rows of cell texts.
+   *
+   * @param {string[]} headers
+   * @param {Array<Array<string>>} rows
+   * @returns {HTMLTableElement}
+   */
+  function buildTable(headers, rows) {
+    const table = document.createElement('table');
+    const headRow = document.createElement('tr');
+    headers.forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    rows.forEach(cells => {
+      const tr = document.createElement('tr');
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    return table;
+  }
+
+  /**
+   * Format a timestamp as a local date and time.
+   *
+   * @param {number} ms
+   * @returns {string}
+   */
+  function formatDateTime(ms) {
+    return new Date(ms).toLocaleString('pt-BR');
+  }
+
+  /**
+   * Rebuild the data quality panel: gaps of the selected motors within
+   * the range, duplicate timestamps and rows/values dropped while
+   * reading the files.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {Array<number>} selectedMotors
+   */
+  function updateQualityPanel(startTime, endTime, selectedMotors) {
+    const panel = document.getElementById('qualityPanel');
+    if (!panel) return;
+    panel.innerHTML = '';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Qualidade dos dados';
+    panel.appendChild(heading);
+    const fileName = index => (loadedFiles[index] ? loadedFiles[index].name : `arquivo ${index + 1}`);
+
+    /**
+     * Append a collapsible section with a table of samples.
+     *
+     * @param {string} title
+     * @param {number} count
+     * @param {number} shown
+     * @param {string[]} headers
+     * @param {Array<Array<string>>} rows
+     */
+    const addSection = (title, count, shown, headers, rows) => {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = `${title}: ${count}`;
+      details.appendChild(summary);
+      if (rows.length > 0) {
+        if (count > shown) {
+          const note = document.createElement('p');
+          note.textContent = `Mostrando as primeiras ${shown} ocorrências.`;
+          details.appendChild(note);
+        }
+        details.appendChild(buildTable(headers, rows));
+      }
+      panel.appendChild(details);
     };
-    Plotly.newPlot('chart', traces, layout, { responsive: true });
-    updateMetrics(startTime, endTime, selectedMotors);
+
+    const maxGapMinutes = settings.dataQuality.maxGapMinutes;
+    const gapRows = [];
+    selectedMotors.forEach(motorId => {
+      findGaps(motorData[motorId], startTime, endTime, maxGapMinutes * 60000).forEach(gap => {
+        gapRows.push([`${unitName(motorId)}`, formatDateTime(gap.from), formatDateTime(gap.to), formatDuration(gap.to - gap.from)]);
+      });
+    });
+    addSection(`Lacunas acima de ${maxGapMinutes} min nos motores selecionados`, gapRows.length, gapRows.length,
+      ['Motor', 'De', 'Até', 'Duração'], gapRows);
+
+    // Suspected sensor faults per motor, over the whole dataset
+    const faultRows = [];
+    let faultTotal = 0;
+    Object.keys(faultCounts).forEach(motorId => {
+      const counts = faultCounts[motorId];
+      const total = counts.range + counts.spike + counts.flatline;
+      if (total === 0) return;
+      faultTotal += total;
+      const share = (total / motorData[motorId].length) * 100;
+      faultRows.push([`${unitName(parseInt(motorId, 10))}`, String(counts.flatline), String(counts.range),
+        String(counts.spike), `${share.toFixed(1)} %`]);
+    });
+    addSection('Amostras com falha de sensor suspeita (excluídas das métricas)', faultTotal, faultTotal,
+      ['Motor', 'Congelado', 'Fora de faixa', 'Salto', '% das amostras'], faultRows);
+
+    const { duplicates, invalidDates, invalidValues } = dataQuality;
+    addSection('Timestamps duplicados', duplicates.count, duplicates.samples.length,
+      ['Motor', 'Tag', 'Data/hora', 'Arquivo', 'Tratamento'],
+      duplicates.samples.map(d => [`${unitName(d.motor)}`, d.tag, formatDateTime(d.t), fileName(d.table),
+        d.replaced ? 'valor substituído' : 'repetição idêntica ignorada']));
+    addSection('Linhas descartadas por data/hora inválida', invalidDates.count, invalidDates.samples.length,
+      ['Arquivo', 'Linha', 'Data', 'Hora'],
+      invalidDates.samples.map(d => [fileName(d.table), String(d.line), d.dateStr, d.timeStr]));
+    addSection('Valores descartados (não numéricos)', invalidValues.count, invalidValues.samples.length,
+      ['Arquivo', 'Linha', 'Coluna', 'Valor'],
+      invalidValues.samples.map(d => [fileName(d.table), String(d.line), d.column, d.value]));
+  }
+
+  // Column headers of the event log table and export, with the event
+  // field each column sorts by
+  const EVENT_COLUMNS = [
+    { header: 'Motor', key: 'motor' },
+    { header: 'Queda abaixo do limite', key: 'from' },
+    { header: 'Recuperação', key: 'to' },
+    { header: 'Tempo abaixo do limite', key: 'belowMs' },
+    { header: 'Temperatura mínima (°C)', key: 'minTemperature' }
+  ];
+
+  /**
+   * Rebuild the list of start temperature limit events for every motor
+   * with data in the range, then redraw the table.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   */
+  function updateEventLog(startTime, endTime) {
+    const events = [];
+    const maxGapMs = settings.dataQuality.maxGapMinutes * 60000;
+    for (const motorId of unitIds()) {
+      if (!motorData[motorId] || motorData[motorId].length === 0) continue;
+      const limit = Settings.getThresholds(settings, motorId).startTemp;
+      findLimitEvents(motorData[motorId], startTime, endTime, limit, maxGapMs).forEach(event => {
+        events.push(Object.assign({ motor: motorId, limit }, event));
+      });
+    }
+    eventLog.events = events;
+    renderEventLog();
+  }
+
+  /**
+   * Events that pass the motor filter, in the chosen sort order.
+   * Events still open at the end of the range sort after the others.
+   *
+   * @returns {Array<object>}
+   */
+  function visibleEvents() {
+    const { events, motorFilter, sortKey, sortAsc } = eventLog;
+    const list = motorFilter === 'all' ? events.slice() : events.filter(e => e.motor === motorFilter);
+    list.sort((a, b) => {
+      const va = a[sortKey] === null ? Infinity : a[sortKey];
+      const vb = b[sortKey] === null ? Infinity : b[sortKey];
+      const diff = va === vb ? a.from - b.from : (va < vb ? -1 : 1);
+      return sortAsc ? diff : -diff;
+    });
+    return list;
+  }
+
+  /**
+   * Draw the event log: motor filter, sortable table and CSV export.
+   * Clicking a row zooms the chart to that event.
+   */
+  function renderEventLog() {
+    const panel = document.getElementById('eventLog');
+    if (!panel) return;
+    panel.innerHTML = '';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Eventos de temperatura abaixo do limite de partida';
+    panel.appendChild(heading);
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'event-toolbar';
+    const filterLabel = document.createElement('label');
+    filterLabel.textContent = 'Motor: ';
+    const filter = document.createElement('select');
+    const motorsWithEvents = Array.from(new Set(eventLog.events.map(e => e.motor))).sort((a, b) => a - b);
+    if (eventLog.motorFilter !== 'all' && !motorsWithEvents.includes(eventLog.motorFilter)) {
+      eventLog.motorFilter = 'all';
+    }
+    [['all', 'Todos']].concat(motorsWithEvents.map(id => [String(id), `${unitName(id)}`])).forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      filter.appendChild(option);
+    });
+    filter.value = String(eventLog.motorFilter);
+    filter.addEventListener('change', () => {
+      eventLog.motorFilter = filter.value === 'all' ? 'all' : parseInt(filter.value, 10);
+      renderEventLog();
+    });
+    filterLabel.appendChild(filter);
+    toolbar.appendChild(filterLabel);
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = 'Exportar eventos (CSV)';
+    exportBtn.addEventListener('click', exportEvents);
+    toolbar.appendChild(exportBtn);
+    panel.appendChild(toolbar);
+
+    const events = visibleEvents();
+    if (events.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'Nenhum evento no intervalo selecionado.';
+      panel.appendChild(empty);
+      return;
+    }
+    const table = document.createElement('table');
+    const headRow = document.createElement('tr');
+    EVENT_COLUMNS.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column.header;
+      if (column.key === eventLog.sortKey) {
+        th.textContent += eventLog.sortAsc ? ' ▲' : ' ▼';
+      }
+      th.addEventListener('click', () => {
+        if (eventLog.sortKey === column.key) {
+          eventLog.sortAsc = !eventLog.sortAsc;
+        } else {
+          eventLog.sortKey = column.key;
+          eventLog.sortAsc = true;
+        }
+        renderEventLog();
+      });
+      headRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    events.forEach(event => {
+      const tr = document.createElement('tr');
+      tr.title = 'Clique para ampliar o gráfico neste evento';
+      eventCells(event).forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tr.addEventListener('click', () => zoomToEvent(event));
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    panel.appendChild(table);
+  }
+
+  /**
+   * Cell texts for one event row.
+   *
+   * @param {object} event
+   * @returns {string[]}
+   */
+  function eventCells(event) {
+    return [
+      `${unitName(event.motor)}`,
+      formatDateTime(event.from) + (event.openStart ? ' (já abaixo no início)' : ''),
+      event.to === null ? 'não recuperou no intervalo' : formatDateTime(event.to),
+      formatDuration(event.belowMs),
+      event.minTemperature.toFixed(1)
+    ];
+  }
+
+  /**
+   * Download the filtered, sorted event log as CSV.
+   */
+  function exportEvents() {
+    const { startTime, endTime } = getSelectedRange();
+    const headers = EVENT_COLUMNS.map(column => column.header).concat(['Limite (°C)']);
+    const rows = visibleEvents().map(event => {
+      const cells = eventCells(event);
+      // Keep the numbers numeric so spreadsheets can sum them
+      cells[3] = Number((event.belowMs / 3600000).toFixed(2));
+      cells[4] = Number(event.minTemperature.toFixed(1));
+      return cells.concat([event.limit]);
+    });
+    headers[3] = 'Tempo abaixo do limite (h)';
+    Report.downloadCSV(reportFileName(startTime, endTime, 'csv').replace('aquecimento_', 'eventos_'), headers, rows);
+  }
+
+  // Column headers of the note list and exports
+  const NOTE_HEADERS = ['Motor', 'Data/hora', 'Anotação'];
+  // Characters of a note shown on the chart itself
+  const NOTE_LABEL_LENGTH = 24;
+
+  /**
+   * Notes within a time range, in time order.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {Array<{id: number, motor: number, t: number, text: string}>}
+   */
+  function notesInRange(startTime, endTime) {
+    return notes.filter(note => note.t >= startTime && note.t <= endTime).sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Note rows of a time range for the exports.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {Array<string[]>}
+   */
+  function noteRows(startTime, endTime) {
+    return notesInRange(startTime, endTime).map(note => [`${unitName(note.motor)}`, formatDateTime(note.t), note.text]);
+  }
+
+  /**
+   * Store the dataset's notes and redraw.
+   *
+   * @param {Array<object>} updated the complete list of notes
+   */
+  function saveNotes(updated) {
+    DatasetStore.setNotes(currentDataset.id, updated)
+      .then(() => {
+        notes = updated;
+        currentDataset.notes = updated;
+        updateChart();
+      })
+      .catch(ex => {
+        console.error('Erro ao salvar anotações', ex);
+        alert('Não foi possível salvar a anotação.');
+      });
+  }
+
+  /**
+   * Ask for a note on the motor and time of a clicked chart point.
+   *
+   * @param {object} event plotly_click event data
+   */
+  function addNoteAt(event) {
+    const point = event.points.find(p => p.data.meta !== undefined);
+    if (!point) return;
+    if (!currentDataset) {
+      alert('Carregue um conjunto de dados para anotar o gráfico.');
+      return;
+    }
+    const motor = point.data.meta;
+    const t = plotlyTime(point.x);
+    const text = prompt(`Anotação para ${unitName(motor)} em ${formatDateTime(t)}:`);
+    if (!text || !text.trim()) return;
+    saveNotes(notes.concat([{ id: Date.now(), motor, t, text: text.trim() }]));
+  }
+
+  /**
+   * List the notes of the selected range under the chart, with buttons
+   * to edit and delete each one. Clicking a row zooms the chart to it.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   */
+  function renderNotes(startTime, endTime) {
+    const panel = document.getElementById('notesPanel');
+    if (!panel) return;
+    panel.innerHTML = '';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Anotações';
+    panel.appendChild(heading);
+    const hint = document.createElement('p');
+    hint.className = 'hint';
+    hint.textContent = 'Clique em uma curva do gráfico de linhas para anotar o motor e o horário, por exemplo uma troca de aquecedor ou uma manutenção.';
+    panel.appendChild(hint);
+    const inRange = notesInRange(startTime, endTime);
+    if (inRange.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'Nenhuma anotação no intervalo selecionado.';
+      panel.appendChild(empty);
+      return;
+    }
+    const toolbar = document.createElement('div');
+    toolbar.className = 'event-toolbar';
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = 'Exportar anotações (CSV)';
+    exportBtn.addEventListener('click', () => {
+      Report.downloadCSV(reportFileName(startTime, endTime, 'csv').replace('aquecimento_', 'anotacoes_'), NOTE_HEADERS,
+        noteRows(startTime, endTime));
+    });
+    toolbar.appendChild(exportBtn);
+    panel.appendChild(toolbar);
+    const table = buildTable(NOTE_HEADERS.concat(['']), []);
+    const tbody = table.querySelector('tbody');
+    inRange.forEach(note => {
+      const tr = document.createElement('tr');
+      tr.title = 'Clique para ampliar o gráfico nesta anotação';
+      [`${unitName(note.motor)}`, formatDateTime(note.t), note.text].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      const actions = document.createElement('td');
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Editar';
+      editBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const text = prompt(`Anotação para ${unitName(note.motor)} em ${formatDateTime(note.t)}:`, note.text);
+        if (!text || !text.trim()) return;
+        saveNotes(notes.map(n => (n.id === note.id ? Object.assign({}, n, { text: text.trim() }) : n)));
+      });
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Excluir';
+      deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!confirm('Excluir esta anotação?')) return;
+        saveNotes(notes.filter(n => n.id !== note.id));
+      });
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+      tr.appendChild(actions);
+      tr.addEventListener('click', () => zoomToEvent({ motor: note.motor, from: note.t, to: note.t }));
+      tbody.appendChild(tr);
+    });
+    panel.appendChild(table);
+  }
+
+  /**
+   * Zoom the chart to an event, with a margin on each side, showing the
+   * motor's series if it is not selected and returning to the plain
+   * line chart.
+   *
+   * @param {object} event
+   */
+  function zoomToEvent(event) {
+    const btn = document.querySelector(`.motor-button[data-motor="${event.motor}"]`);
+    const compareMode = document.getElementById('compareMode');
+    if ((btn && !btn.classList.contains('active')) || compareMode.checked || currentView !== 'line') {
+      // Events are on the absolute time axis, so leave comparison mode
+      // and the fleet view
+      if (btn) btn.classList.add('active');
+      compareMode.checked = false;
+      toggleCompareInputs();
+      setView('line');
+    }
+    const to = event.to === null ? getSelectedRange().endTime : event.to;
+    const margin = Math.max((to - event.from) * 0.2, 30 * 60000);
+    Plotly.relayout('chart', {
+      'xaxis.range': [new Date(event.from - margin), new Date(to + margin)]
+    });
+    document.getElementById('chart').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  /**
+   * Describe a motor's cool-down rate and the predicted time until it
+   * drops below the start limit, for its metric card.
+   *
+   * @param {number} motorId
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {number} limit
+   * @returns {HTMLParagraphElement}
+   */
+  function coolDownParagraph(motorId, startTime, endTime, limit) {
+    const p = document.createElement('p');
+    const fit = coolDownFor(motorId, startTime, endTime);
+    if (!fit) {
+      p.textContent = 'Resfriamento: dados insuficientes para previsão';
+      return p;
+    }
+    if (!fit.cooling) {
+      p.textContent = 'Resfriamento: temperatura estável ou subindo – sem previsão';
+      return p;
+    }
+    const untilLimit = timeToLimit(fit, limit);
+    let prediction;
+    if (untilLimit === 0) {
+      prediction = `já abaixo de ${limit}°C`;
+    } else if (untilLimit === null) {
+      prediction = `não chega a ${limit}°C (ambiente ${fit.ambientTemp}°C)`;
+    } else {
+      prediction = `abaixo de ${limit}°C em ${formatDuration(untilLimit)} (${formatDateTime(fit.t0 + untilLimit)})`;
+      if (untilLimit < 12 * 3600000) p.className = 'metric-warning';
+    }
+    p.textContent = `Resfriamento: ${fit.ratePerHour.toFixed(2)} °C/h (τ = ${(fit.tauMs / 3600000).toFixed(1)} h, R² = ${fit.r2.toFixed(2)}) – ${prediction}`;
+    return p;
+  }
+
+  /**
+   * Format a signed difference in time as +HH:MM h or -HH:MM h.
+   *
+   * @param {number} ms
+   * @returns {string}
+   */
+  function formatDurationDelta(ms) {
+    return (ms < 0 ? '-' : '+') + formatDuration(Math.abs(ms));
+  }
+
+  /**
+   * Format a signed difference in reais.
+   *
+   * @param {number} value
+   * @returns {string}
+   */
+  function formatCurrencyDelta(value) {
+    return `${value < 0 ? '-' : '+'}R$ ${Math.abs(value).toFixed(2)}`;
+  }
+
+  /**
+   * Describe the comparison period on a metric card: its availability
+   * and savings and the change from the first period. Availability is
+   * also compared as a share of each period, since the two periods may
+   * differ in length.
+   *
+   * @param {object} metrics metrics of the first period, see computeMetrics
+   * @param {object} compareMetrics metrics of the comparison period
+   * @param {number} rangeMs length of the first period
+   * @param {number} compareRangeMs length of the comparison period
+   * @returns {HTMLDivElement}
+   */
+  function comparisonBlock(metrics, compareMetrics, rangeMs, compareRangeMs) {
+    const block = document.createElement('div');
+    block.className = 'metric-compare';
+    const share = (ms, total) => (total > 0 ? (ms / total) * 100 : 0);
+    const shareDelta = share(compareMetrics.availabilityMs, compareRangeMs) - share(metrics.availabilityMs, rangeMs);
+    const lines = [
+      `Período 2 – disponibilidade: ${compareMetrics.availability} (${share(compareMetrics.availabilityMs, compareRangeMs).toFixed(1)} %)`,
+      `Período 2 – economia diesel: R$ ${compareMetrics.economiaRS.toFixed(2)}`,
+      `Δ disponibilidade: ${formatDurationDelta(compareMetrics.availabilityMs - metrics.availabilityMs)} (${shareDelta >= 0 ? '+' : ''}${shareDelta.toFixed(1)} p.p.)`,
+      `Δ economia diesel: ${formatCurrencyDelta(compareMetrics.economiaRS - metrics.economiaRS)}`
+    ];
+    lines.forEach(text => {
+      const p = document.createElement('p');
+      p.textContent = text;
+      block.appendChild(p);
+    });
+    return block;
   }
 
   /**
    * Update the metrics cards based on selected motors and time range.
+   * With a comparison range, each card also shows the second period and
+   * the change in availability and savings (period 2 minus period 1).
    *
    * @param {number} startTime
    * @param {number} endTime
    * @param {Array<number>} selectedMotors
+   * @param {{ startTime: number, endTime: number }|null} compareRange
    */
-  function updateMetrics(startTime, endTime, selectedMotors) {
+  function updateMetrics(startTime, endTime, selectedMotors, compareRange) {
     const container = document.getElementById('metricsContainer');
     container.innerHTML = '';
     selectedMotors.forEach(motorId => {
-      const dataArr = motorData[motorId] || [];
-      const { availability, economiaLitros, economiaRS, economiaMes, lastTemperature } = computeMetrics(dataArr, startTime, endTime);
-      const color = colors[motorId - 1];
-      const imgSrc = (lastTemperature !== null && lastTemperature >= 50) ? 'Genset_Verde.png' : 'Genset_Vermelho.png';
+      const thresholds = Settings.getThresholds(settings, motorId);
+      const intervals = getHeaterIntervals(motorId, startTime, endTime);
+      const metrics = metricsFor(motorId, startTime, endTime);
+      const { availability, economiaLitros, economiaRS, economiaDia, economiaMes, economiaAno, projectionBasisMs,
+        lastTemperature, coverage, faultCount } = metrics;
+      const color = unitColor(motorId);
+      const aboveLimit = lastTemperature !== null && lastTemperature >= thresholds.startTemp;
+      const imgSrc = aboveLimit ? 'Genset_Verde.png' : 'Genset_Vermelho.png';
       const card = document.createElement('div');
       card.className = 'metric-card';
       card.style.borderTopColor = color;
       const img = document.createElement('img');
       img.src = imgSrc;
-      img.alt = (lastTemperature !== null && lastTemperature >= 50) ? 'Motor acima de 50°C' : 'Motor abaixo de 50°C';
+      img.alt = aboveLimit ? `Motor acima de ${thresholds.startTemp}°C` : `Motor abaixo de ${thresholds.startTemp}°C`;
       const info = document.createElement('div');
       info.className = 'metric-info';
       const title = document.createElement('h3');
-      title.textContent = `UG#${pad(motorId)}`;
+      title.textContent = `${unitName(motorId)}`;
       const p1 = document.createElement('p');
       p1.textContent = `Disponibilidade: ${availability}`;
+      const pCoverage = document.createElement('p');
+      pCoverage.textContent = `Cobertura de dados: ${(coverage * 100).toFixed(1)} %`;
       info.appendChild(title);
       info.appendChild(p1);
-      // If the motor is marked as having electric heating, show full economy data
-      const isHeating = heatingData && heatingData[motorId];
-      if (isHeating) {
+      info.appendChild(pCoverage);
+      info.appendChild(coolDownParagraph(motorId, startTime, endTime, thresholds.startTemp));
+      if (faultCount > 0) {
+        const pFaults = document.createElement('p');
+        pFaults.className = 'metric-warning';
+        pFaults.textContent = `Falhas de sensor suspeitas: ${faultCount} amostra(s) excluída(s)`;
+        info.appendChild(pFaults);
+      }
+      // If the motor had electric heating during the range, show full economy data
+      if (intervals.length > 0) {
+        const heaterMs = intervals.reduce((sum, [from, to]) => sum + (to - from), 0);
+        const pHeater = document.createElement('p');
+        pHeater.textContent = `Aquecedor instalado: ${formatDuration(heaterMs)}`;
+        info.appendChild(pHeater);
         const p2 = document.createElement('p');
         p2.textContent = `Economia diesel: ${economiaLitros.toFixed(2)} L`;
         const p3 = document.createElement('p');
         p3.textContent = `Economia diesel: R$ ${economiaRS.toFixed(2)}`;
         const p4 = document.createElement('p');
-        p4.textContent = `Projeção economia mensal: R$ ${economiaMes.toFixed(2)}`;
+        p4.textContent = `Projeção: R$ ${economiaDia.toFixed(2)}/dia · R$ ${economiaMes.toFixed(2)}/mês · R$ ${economiaAno.toFixed(2)}/ano`;
+        const p5 = document.createElement('p');
+        p5.className = 'metric-note';
+        p5.textContent = `Base da projeção: ${formatDuration(projectionBasisMs)} com dados e aquecedor`;
+        const pEnergy = document.createElement('p');
+        pEnergy.textContent = `Energia do aquecedor: ${metrics.energiaKWh.toFixed(0)} kWh · R$ ${metrics.custoEnergia.toFixed(2)}`;
+        const pNet = document.createElement('p');
+        pNet.textContent = `Economia líquida: R$ ${metrics.economiaLiquida.toFixed(2)} (R$ ${metrics.economiaLiquidaDia.toFixed(2)}/dia)`;
+        if (metrics.economiaLiquida < 0) pNet.className = 'metric-warning';
+        const pPayback = document.createElement('p');
+        pPayback.textContent = `Retorno do aquecedor: ${paybackText(Settings.getHeater(settings, motorId).installCost, metrics.economiaLiquidaDia)}`;
         info.appendChild(p2);
         info.appendChild(p3);
         info.appendChild(p4);
+        info.appendChild(p5);
+        info.appendChild(pEnergy);
+        info.appendChild(pNet);
+        info.appendChild(pPayback);
+      }
+      if (compareRange) {
+        const compareMetrics = metricsFor(motorId, compareRange.startTime, compareRange.endTime);
+        info.appendChild(comparisonBlock(metrics, compareMetrics, endTime - startTime,
+          compareRange.endTime - compareRange.startTime));
       }
       card.appendChild(img);
       card.appendChild(info);
       container.appendChild(card);
     });
     // After updating per-motor cards, update the summary panel at the top
-    updateSummaryPanel(startTime, endTime);
+    updateSummaryPanel(startTime, endTime, compareRange);
   }
 
   /**
-   * Update the summary panel with aggregated statistics for motors
-   * marked as having electric heating. Also includes a monthly
-   * projection across all motors. The summary panel lives in the
-   * header and is rebuilt whenever the date range changes or data
-   * loads.
+   * Describe how long net savings take to pay for heaters.
+   *
+   * @param {number} installCost R$
+   * @param {number} netDaily net savings per day (R$)
+   * @returns {string}
+   */
+  function paybackText(installCost, netDaily) {
+    if (!(installCost > 0)) return 'informe o custo do aquecedor em Configurações';
+    if (netDaily <= 0) return 'não se paga – economia líquida não positiva';
+    const days = installCost / netDaily;
+    return `${days.toFixed(0)} dias (${(days / 30).toFixed(1)} meses)`;
+  }
+
+  /**
+   * Aggregate the savings of the motors that had electric heating
+   * during the range, net of their electricity cost, and the
+   * availability of every motor with data.
    *
    * @param {number} startTime
    * @param {number} endTime
+   * @returns {{ heatingMotors: number[], totalLitrosHeating: number, totalRSHeating: number, totalDaily: number, totalEnergyCost: number, totalNet: number, totalNetDaily: number, totalInstallCost: number, totalAvailabilityMs: number }}
    */
-  function updateSummaryPanel(startTime, endTime) {
-    const panel = document.getElementById('summaryPanel');
-    if (!panel) return;
-    // Determine which motors are flagged as having electric heating
+  function computeSummary(startTime, endTime) {
+    // Determine which motors had electric heating during the range
     const heatingMotors = [];
-    for (let motorId = 1; motorId <= 23; motorId++) {
-      if (heatingData && heatingData[motorId]) {
+    for (const motorId of unitIds()) {
+      if (getHeaterIntervals(motorId, startTime, endTime).length > 0) {
         // Only include if we have data for the motor
         if (motorData[motorId] && motorData[motorId].length > 0) {
           heatingMotors.push(motorId);
         }
       }
     }
-    // Compute aggregated economy for heating motors
+    // Compute aggregated economy and projections for heating motors
     let totalLitrosHeating = 0;
     let totalRSHeating = 0;
+    let totalDaily = 0;
+    let totalEnergyCost = 0;
+    let totalNet = 0;
+    let totalNetDaily = 0;
+    let totalInstallCost = 0;
     heatingMotors.forEach(motorId => {
-      const metrics = computeMetrics(motorData[motorId], startTime, endTime);
+      const metrics = metricsFor(motorId, startTime, endTime);
       totalLitrosHeating += metrics.economiaLitros;
       totalRSHeating += metrics.economiaRS;
+      totalDaily += metrics.economiaDia;
+      totalEnergyCost += metrics.custoEnergia;
+      totalNet += metrics.economiaLiquida;
+      totalNetDaily += metrics.economiaLiquidaDia;
+      totalInstallCost += Settings.getHeater(settings, motorId).installCost;
     });
-    // Compute monthly projection for all motors across the selected range
-    let totalMonthlyProjection = 0;
-    for (let motorId = 1; motorId <= 23; motorId++) {
+    let totalAvailabilityMs = 0;
+    for (const motorId of unitIds()) {
       if (motorData[motorId] && motorData[motorId].length > 0) {
-        const metrics = computeMetrics(motorData[motorId], startTime, endTime);
-        totalMonthlyProjection += metrics.economiaMes;
+        totalAvailabilityMs += metricsFor(motorId, startTime, endTime).availabilityMs;
       }
     }
+    return {
+      heatingMotors,
+      totalLitrosHeating,
+      totalRSHeating,
+      totalDaily,
+      totalEnergyCost,
+      totalNet,
+      totalNetDaily,
+      totalInstallCost,
+      totalAvailabilityMs
+    };
+  }
+
+  /**
+   * Update the summary panel with aggregated statistics for motors
+   * that had electric heating during the range, including their daily,
+   * monthly and annual savings projections, the heaters' electricity
+   * cost, net savings and payback. Motors without a heater
+   * are left out of every total. The summary panel lives in the
+   * header and is rebuilt whenever the date range changes or data
+   * loads.
+   *
+   * With a comparison range, two more lines show both periods' total
+   * availability and savings and the change between them.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {{ startTime: number, endTime: number }|null} compareRange
+   */
+  function updateSummaryPanel(startTime, endTime, compareRange) {
+    const panel = document.getElementById('summaryPanel');
+    if (!panel) return;
+    const summary = computeSummary(startTime, endTime);
+    const { heatingMotors, totalLitrosHeating, totalRSHeating, totalDaily } = summary;
     // Build HTML for the summary panel
     const items = [];
-    // Line 1: heating motors list
+    // Line 1: heating motors list (unit names come from plant.json)
     const motorsListText = heatingMotors.length > 0 ?
-      heatingMotors.map(id => `Motor#${pad(id)}`).join(', ') : 'Nenhum motor com aquecedor';
+      heatingMotors.map(id => Report.escapeHtml(unitName(id))).join(', ') : 'Nenhum motor com aquecedor';
     items.push(`<div class="summary-item"><span class="emoji">🔌</span><span><strong>Motores com aquecedor elétrico:</strong> ${motorsListText}</span></div>`);
     // Line 2: total economy diesel (liters)
     items.push(`<div class="summary-item"><span class="emoji">⛽</span><span><strong>Economia diesel (L):</strong> ${totalLitrosHeating.toFixed(2)} L</span></div>`);
     // Line 3: total economy diesel in local currency
     items.push(`<div class="summary-item"><span class="emoji">💰</span><span><strong>Economia diesel (R$):</strong> R$ ${totalRSHeating.toFixed(2)}</span></div>`);
-    // Line 4: monthly projection across all motors
-    items.push(`<div class="summary-item"><span class="emoji">📅</span><span><strong>Projeção economia mensal:</strong> R$ ${totalMonthlyProjection.toFixed(2)}</span></div>`);
-    // Line 5: observation about projection
-    items.push(`<div class="summary-item" style="font-size:0.7rem;"><span class="emoji">ℹ️</span><span>Projeção baseada no intervalo selecionado</span></div>`);
+    // Line 4: projections for the motors with heaters
+    items.push(`<div class="summary-item"><span class="emoji">📅</span><span><strong>Projeção economia (motores com aquecedor):</strong> R$ ${totalDaily.toFixed(2)}/dia · R$ ${(totalDaily * 30).toFixed(2)}/mês · R$ ${(totalDaily * 365).toFixed(2)}/ano</span></div>`);
+    // Electricity used by the heaters, net savings and payback
+    items.push(`<div class="summary-item"><span class="emoji">⚡</span><span><strong>Energia dos aquecedores:</strong> R$ ${summary.totalEnergyCost.toFixed(2)} · <strong>Economia líquida:</strong> R$ ${summary.totalNet.toFixed(2)} (R$ ${summary.totalNetDaily.toFixed(2)}/dia)</span></div>`);
+    if (heatingMotors.length > 0) {
+      items.push(`<div class="summary-item"><span class="emoji">🔁</span><span><strong>Retorno dos aquecedores instalados:</strong> ${paybackText(summary.totalInstallCost, summary.totalNetDaily)}</span></div>`);
+    }
+    // Line 5: temperature thresholds in use
+    const ownLimits = Object.keys(settings.thresholds.motors).length;
+    const ownLimitsText = ownLimits > 0 ? ` (${ownLimits} motor(es) com limite próprio)` : '';
+    items.push(`<div class="summary-item"><span class="emoji">🌡️</span><span><strong>Limites:</strong> partida ${settings.thresholds.startTemp}°C, economia ${settings.thresholds.savingsTemp}°C${ownLimitsText}</span></div>`);
+    // Comparison lines: period 2 against period 1
+    if (compareRange) {
+      const compare = computeSummary(compareRange.startTime, compareRange.endTime);
+      items.push(`<div class="summary-item"><span class="emoji">⏱️</span><span><strong>Disponibilidade total (todos os motores):</strong> período 1 ${formatDuration(summary.totalAvailabilityMs)} · período 2 ${formatDuration(compare.totalAvailabilityMs)} · Δ ${formatDurationDelta(compare.totalAvailabilityMs - summary.totalAvailabilityMs)}</span></div>`);
+      items.push(`<div class="summary-item"><span class="emoji">⚖️</span><span><strong>Economia diesel (R$):</strong> período 1 R$ ${totalRSHeating.toFixed(2)} · período 2 R$ ${compare.totalRSHeating.toFixed(2)} · Δ ${formatCurrencyDelta(compare.totalRSHeating - totalRSHeating)}</span></div>`);
+    }
+    // Line 6: observation about projection
+    items.push(`<div class="summary-item" style="font-size:0.7rem;"><span class="emoji">ℹ️</span><span>Projeção pela economia média por dia com dados válidos e aquecedor instalado no intervalo selecionado</span></div>`);
     panel.innerHTML = items.join('');
   }
 
-  // Global variables to hold processed data, colour palette and heating info
+  // Global variables to hold processed data, the plant configuration
+  // (units, names, colours) read from plant.json, heater periods and
+  // the plant settings (thresholds) read from settings.js.
+  // tagData holds every series per motor and tag, motorData the series
+  // of the availability tag that the metrics are computed from.
+  let tagData = {};
+  let tagList = [];
+  // Tags plotted on the line chart
+  let selectedTags = [];
   let motorData = {};
-  let colors = [];
-  let heatingData = {};
+  let plant = Plant.fallback();
+  let heaterPeriods = [];
+  // Files behind the loaded data and the quality report from buildDataStructure
+  let loadedFiles = [];
+  // Time zone the data was exported in, see DataParser.datasetTimeZone
+  let sourceZone = 'local';
+  // Dataset currently displayed
+  let currentDataset = null;
+  // 'line' for the line chart, 'heatmap' for the fleet view
+  let currentView = 'line';
+  // Start temperature limit events of the range with the table's
+  // motor filter and sort order, see updateEventLog
+  let eventLog = { events: [], motorFilter: 'all', sortKey: 'from', sortAsc: true };
+  // Suspected sensor fault counts per motor, see detectFaults
+  let faultCounts = {};
+  let dataQuality = {
+    invalidDates: { count: 0, samples: [] },
+    invalidValues: { count: 0, samples: [] },
+    duplicates: { count: 0, samples: [] }
+  };
+  let settings = Settings.defaults();
+  // Operator notes of the current dataset, see DatasetStore.getNotes
+  let notes = [];
+  // Visible window of the line chart when zoomed in, see resampleOnZoom
+  let lineZoom = null;
+  // View state read from the URL hash, applied by the next loadDataset
+  let linkedView = null;
+  // Live mode: poll timer, whether a poll is running, time of the last
+  // answer and the last error, see pollLive
+  let live = { timer: null, busy: false, lastPoll: null, lastError: null };
 
   /**
-   * Initialise the page. Parse CSV from localStorage and prepare UI.
+   * Format a dataset for display in the picker.
+   *
+   * @param {object} dataset
+   * @returns {string}
    */
-  function init() {
-    const hasData = localStorage.getItem('hasData');
+  function describeDataset(dataset) {
+    const date = new Date(dataset.createdAt).toLocaleString('pt-BR');
+    const author = dataset.author ? ` – ${dataset.author}` : '';
+    const fileNames = dataset.files.map(f => f.name).join(', ');
+    return `${dataset.name} (${date}${author}) [${fileNames}]`;
+  }
+
+  /**
+   * Fill the dataset picker with every stored dataset and select the
+   * one being displayed.
+   *
+   * @param {Array<object>} datasets
+   * @param {number} currentId
+   */
+  function renderDatasetPicker(datasets, currentId) {
+    const picker = document.getElementById('datasetPicker');
+    picker.innerHTML = '';
+    datasets.forEach(dataset => {
+      const option = document.createElement('option');
+      option.value = dataset.id;
+      option.textContent = describeDataset(dataset);
+      option.selected = dataset.id === currentId;
+      picker.appendChild(option);
+    });
+  }
+
+  /**
+   * Describe the loaded files: the date format each one was read with
+   * and, for a merged dataset, how many points the latest upload added,
+   * replaced or skipped as duplicates.
+   *
+   * @param {object} dataset
+   * @param {Array<{name: string, uploadedAt: number, timeZone?: string}>} files
+   * @param {Array<{added: number, replaced: number, skipped: number, dateFormat: string}>} stats
+   */
+  function renderDatasetReport(dataset, files, stats) {
+    const reportEl = document.getElementById('datasetReport');
+    const lines = [];
+    const formats = files.map((file, i) => {
+      const zone = file.timeZone && file.timeZone !== 'local' ? file.timeZone : 'horário local';
+      return `${file.name}: ${DATE_FORMAT_LABELS[stats[i].dateFormat]} (${zone})`;
+    });
+    lines.push(`Formato de data: ${formats.join('; ')}`);
+    if (dataset.baseId) {
+      const totals = { added: 0, replaced: 0, skipped: 0 };
+      let newFiles = 0;
+      files.forEach((file, i) => {
+        if (file.uploadedAt !== dataset.createdAt) return;
+        newFiles++;
+        totals.added += stats[i].added;
+        totals.replaced += stats[i].replaced;
+        totals.skipped += stats[i].skipped;
+      });
+      lines.push(`Última carga mesclada (${newFiles} arquivo(s)): ${totals.added} pontos adicionados, ` +
+        `${totals.replaced} substituídos, ${totals.skipped} ignorados por repetição.`);
+    }
+    reportEl.innerHTML = '';
+    lines.forEach(text => {
+      const p = document.createElement('p');
+      p.textContent = text;
+      reportEl.appendChild(p);
+    });
+  }
+
+  /**
+   * Show a message in place of the chart.
+   *
+   * @param {string} text
+   */
+  function showMessage(text) {
     const messageEl = document.getElementById('message');
     const mainEl = document.getElementById('mainContent');
-    if (!hasData) {
-      messageEl.style.display = 'block';
-      messageEl.textContent = 'Nenhum dado encontrado. Vá para a página de entrada de dados para carregar arquivos CSV.';
-      mainEl.style.display = 'none';
+    messageEl.style.display = 'block';
+    messageEl.textContent = text;
+    mainEl.style.display = 'none';
+  }
+
+  /**
+   * Show (or with a null label hide) the parsing progress indicator.
+   *
+   * @param {string|null} label
+   * @param {number} [fraction] between 0 and 1
+   */
+  function showProgress(label, fraction) {
+    const progressEl = document.getElementById('loadProgress');
+    if (label === null) {
+      progressEl.style.display = 'none';
       return;
     }
-    // Retrieve CSV texts from localStorage
-    const csvTexts = [];
-    ['group1', 'group2', 'group3', 'group4'].forEach(key => {
-      const txt = localStorage.getItem(key) || '';
-      if (txt && txt.trim().length > 0) {
-        csvTexts.push(txt);
+    progressEl.style.display = 'flex';
+    progressEl.querySelector('progress').value = fraction || 0;
+    progressEl.querySelector('span').textContent = label;
+  }
+
+  /**
+   * Parse files on the page itself, blocking it until done. Used where
+   * a worker cannot be started.
+   *
+   * @param {Array<object>} jobs files as sent to parse_worker.js
+   * @returns {object} the result of DataParser.buildDataStructure
+   */
+  function parseOnPage(jobs) {
+    const tables = jobs.map(job => FileImport.parseRows(job.text, job.delimiter).rows);
+    const tableOptions = jobs.map(job => ({ dateFormat: job.dateFormat, timeZone: job.timeZone, mapping: job.mapping }));
+    return DataParser.buildDataStructure(tables, tableOptions, plant);
+  }
+
+  /**
+   * Parse a dataset's files into series in a Web Worker (see
+   * parse_worker.js) while a progress bar follows it. When the worker
+   * cannot be started or fails to load, for example with the page
+   * opened straight from disk, the files are parsed on the page.
+   *
+   * @param {Array<object>} files as returned by DatasetStore.getFiles
+   * @returns {Promise<object>} the result of DataParser.buildDataStructure
+   */
+  function parseFiles(files) {
+    const jobs = files.map(f => ({
+      text: f.text,
+      delimiter: f.delimiter,
+      dateFormat: f.dateFormat,
+      timeZone: f.timeZone,
+      mapping: f.mapping
+    }));
+    showProgress('Lendo arquivos…', 0);
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker('parse_worker.js');
+      } catch (ex) {
+        console.error('Não foi possível iniciar o worker de leitura, lendo na página', ex);
+        resolve(parseOnPage(jobs));
+        return;
+      }
+      worker.onmessage = event => {
+        const msg = event.data;
+        if (msg.type === 'progress') {
+          const label = msg.phase === 'parse' ?
+            `Lendo arquivo ${msg.done + 1} de ${msg.total}…` :
+            `Processando ${msg.done.toLocaleString('pt-BR')} de ${msg.total.toLocaleString('pt-BR')} linhas…`;
+          // Reading the files takes the first fifth of the bar
+          const fraction = msg.phase === 'parse' ? 0.2 * msg.done / msg.total : 0.2 + 0.8 * msg.done / Math.max(msg.total, 1);
+          showProgress(label, fraction);
+          return;
+        }
+        worker.terminate();
+        if (msg.type === 'result') resolve(msg.result);
+        else reject(new Error(msg.message));
+      };
+      worker.onerror = event => {
+        event.preventDefault();
+        worker.terminate();
+        console.error('Erro no worker de leitura, lendo na página', event.message);
+        try {
+          resolve(parseOnPage(jobs));
+        } catch (ex) {
+          reject(ex);
+        }
+      };
+      worker.postMessage({ files: jobs, plant });
+    }).finally(() => showProgress(null));
+  }
+
+  /**
+   * Load a stored dataset, parse its CSV files and redraw everything.
+   *
+   * @param {object} dataset
+   * @returns {Promise<void>}
+   */
+  function loadDataset(dataset) {
+    const messageEl = document.getElementById('message');
+    const mainEl = document.getElementById('mainContent');
+    return DatasetStore.getFiles(dataset).then(allFiles => {
+      const files = allFiles.filter(f => f.text && f.text.trim().length > 0);
+      if (files.length === 0) {
+        showMessage('Os arquivos CSV fornecidos estavam vazios. Volte à página de entrada de dados para carregar arquivos válidos.');
+        // Keep the picker reachable so another dataset can be chosen
+        mainEl.style.display = 'block';
+        return;
+      }
+      // Parse in the background, honouring each file's date format, time zone and column mapping
+      return parseFiles(files).then(({ tagData: td, tags, minTime, maxTime, stats, quality }) => {
+        tagData = td;
+        tagList = tags;
+        // Metrics, events and faults follow the availability tag
+        motorData = seriesForTag(settings.tags.availability);
+        selectedTags = tagList.includes(settings.tags.availability) ? [settings.tags.availability] : tagList.slice(0, 1);
+        renderTagSelector();
+        currentDataset = dataset;
+        loadedFiles = files;
+        sourceZone = DataParser.datasetTimeZone(files);
+        dataQuality = quality;
+        faultCounts = {};
+        Object.keys(motorData).forEach(motorId => {
+          faultCounts[motorId] = detectFaults(motorData[motorId], settings.faultDetection,
+            settings.dataQuality.maxGapMinutes * 60000);
+        });
+        renderDatasetReport(dataset, files, stats);
+        heaterPeriods = DatasetStore.getHeaterPeriods(dataset);
+        notes = DatasetStore.getNotes(dataset);
+        // Populate motor buttons
+        renderMotorButtons(tagData);
+        // Set time inputs to the min and max timestamps
+        const startInput = document.getElementById('startTime');
+        const endInput = document.getElementById('endTime');
+        startInput.value = toLocalInputValue(minTime);
+        endInput.value = toLocalInputValue(maxTime);
+        // Start the comparison range on the same dates until one is chosen
+        const compareStart = document.getElementById('compareStart');
+        const compareEnd = document.getElementById('compareEnd');
+        if (!compareStart.value || !compareEnd.value) {
+          compareStart.value = startInput.value;
+          compareEnd.value = endInput.value;
+        }
+        // Show main content now that data is ready
+        messageEl.style.display = 'none';
+        mainEl.style.display = 'block';
+        lineZoom = null;
+        if (linkedView) {
+          // Opened from a link or reloaded: restore that view
+          applyLinkedView(linkedView);
+          linkedView = null;
+        } else {
+          // Optionally select the first motor by default for a preview
+          const firstBtn = document.querySelector('.motor-button:not([disabled])');
+          if (firstBtn) {
+            firstBtn.classList.add('active');
+          }
+          // Draw initial chart
+          updateChart();
+        }
+        checkAlarms();
+      });
+    });
+  }
+
+  // Minutes the “Silenciar” button mutes alarm sounds and notifications
+  const SILENCE_MINUTES = 30;
+  // Newest alarm history entries listed on the page
+  const ALARM_HISTORY_ROWS = 100;
+  // Outside live mode, alarms are only checked when the dataset's newest
+  // reading is at most this old
+  const ALARM_RECENT_MINUTES = 60;
+
+  /**
+   * Play three short beeps. Browsers may refuse until the user has
+   * interacted with the page.
+   */
+  function playAlarmSound() {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+    try {
+      const ctx = new AudioCtx();
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = 'square';
+      osc.frequency.value = 880;
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      [0, 0.3, 0.6].forEach(start => {
+        gain.gain.setValueAtTime(0.1, ctx.currentTime + start);
+        gain.gain.setValueAtTime(0, ctx.currentTime + start + 0.15);
+      });
+      osc.onended = () => ctx.close();
+      osc.start();
+      osc.stop(ctx.currentTime + 0.8);
+    } catch (ex) {
+      console.error('Não foi possível tocar o som do alarme', ex);
+    }
+  }
+
+  /**
+   * Sound and, when enabled and allowed, a browser notification for
+   * newly raised alarms, unless alarms are silenced.
+   *
+   * @param {Array<object>} raised history entries, see Alarms.reconcile
+   */
+  function announceAlarms(raised) {
+    if (Alarms.silencedUntil() !== null) return;
+    if (settings.alarms.sound) playAlarmSound();
+    if (!settings.alarms.notifications || !('Notification' in window) || Notification.permission !== 'granted') return;
+    raised.forEach(entry => {
+      try {
+        new Notification(`Alarme – ${unitName(entry.motorId)}`, {
+          body: `${Alarms.ALARM_LABELS[entry.type]}: ${entry.message}`,
+          icon: 'favicon.png',
+          tag: entry.id
+        });
+      } catch (ex) {
+        console.error('Não foi possível exibir a notificação do alarme', ex);
       }
     });
-    if (csvTexts.length === 0) {
-      messageEl.style.display = 'block';
-      messageEl.textContent = 'Os arquivos CSV fornecidos estavam vazios. Volte à página de entrada de dados para carregar arquivos válidos.';
-      mainEl.style.display = 'none';
+  }
+
+  /**
+   * Check every motor's newest readings against its alarm rules, update
+   * the history and the banner, and announce new alarms. Rules are only
+   * checked in live mode or when the dataset's newest reading is less
+   * than ALARM_RECENT_MINUTES old; the conditions of older, historical
+   * data are neither announced nor saved. Readings are judged at the
+   * current time, so “sem dados” flags the motors that stopped logging.
+   */
+  function checkAlarms() {
+    const latest = LiveSource.latestTime(tagData);
+    const now = Date.now();
+    if (latest === null || (!live.timer && latest < now - ALARM_RECENT_MINUTES * 60000)) {
+      renderAlarms();
       return;
     }
-    // Parse each CSV into arrays
-    const parsedTables = csvTexts.map(t => parseCSV(t));
-    // Build data structure
-    const { motorData: md, minTime, maxTime } = buildDataStructure(parsedTables);
-    motorData = md;
-    // Load heating selections from localStorage
-    try {
-      const heatingStr = localStorage.getItem('heating');
-      heatingData = heatingStr ? JSON.parse(heatingStr) : {};
-    } catch (ex) {
-      heatingData = {};
+    const conditions = [];
+    for (const motorId of unitIds()) {
+      if (!motorData[motorId]) continue;
+      Alarms.evaluate(motorData[motorId], Settings.getAlarmRules(settings, motorId), now).forEach(condition => {
+        conditions.push(Object.assign({ motorId }, condition));
+      });
+    }
+    const { raised } = Alarms.reconcile(conditions, latest);
+    if (raised.length > 0) announceAlarms(raised);
+    renderAlarms();
+  }
+
+  /**
+   * Rebuild the alarm banner and the alarm history panel.
+   */
+  function renderAlarms() {
+    renderAlarmBanner();
+    renderAlarmHistory();
+  }
+
+  /**
+   * Show the open alarms above the controls, each with a button to
+   * acknowledge it, and buttons to acknowledge all of them and to
+   * silence sounds and notifications for SILENCE_MINUTES.
+   */
+  function renderAlarmBanner() {
+    const banner = document.getElementById('alarmBanner');
+    banner.innerHTML = '';
+    const open = Alarms.history().filter(e => e.clearedAt === null);
+    if (open.length === 0) {
+      banner.style.display = 'none';
+      return;
+    }
+    const pending = open.filter(e => e.acknowledgedAt === null);
+    banner.className = pending.length > 0 ? 'alarm-banner' : 'alarm-banner acknowledged';
+    banner.style.display = 'block';
+    const heading = document.createElement('strong');
+    heading.textContent = `⚠️ ${open.length} alarme(s) ativo(s)` +
+      (pending.length > 0 ? `, ${pending.length} sem reconhecimento` : ', todos reconhecidos');
+    banner.appendChild(heading);
+    const list = document.createElement('ul');
+    open.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = `${unitName(entry.motorId)} – ${Alarms.ALARM_LABELS[entry.type]}: ${entry.message} (desde ${formatDateTime(entry.raisedAt)}) `;
+      if (entry.acknowledgedAt === null) {
+        const ackBtn = document.createElement('button');
+        ackBtn.textContent = 'Reconhecer';
+        ackBtn.addEventListener('click', () => {
+          Alarms.acknowledge([entry.id]);
+          renderAlarms();
+        });
+        item.appendChild(ackBtn);
+      } else {
+        item.className = 'acknowledged';
+      }
+      list.appendChild(item);
+    });
+    banner.appendChild(list);
+    const toolbar = document.createElement('div');
+    toolbar.className = 'alarm-toolbar';
+    if (pending.length > 1) {
+      const ackAll = document.createElement('button');
+      ackAll.textContent = 'Reconhecer todos';
+      ackAll.addEventListener('click', () => {
+        Alarms.acknowledge(null);
+        renderAlarms();
+      });
+      toolbar.appendChild(ackAll);
     }
+    const until = Alarms.silencedUntil();
+    const silenceBtn = document.createElement('button');
+    silenceBtn.textContent = until === null ?
+      `Silenciar por ${SILENCE_MINUTES} min` :
+      `Silenciado até ${new Date(until).toLocaleTimeString('pt-BR')} – reativar som`;
+    silenceBtn.addEventListener('click', () => {
+      Alarms.silence(until === null ? SILENCE_MINUTES : 0);
+      renderAlarmBanner();
+    });
+    toolbar.appendChild(silenceBtn);
+    banner.appendChild(toolbar);
+  }
 
-    // Load diesel price and consumption from localStorage if available
-    const storedPrice = parseFloat(localStorage.getItem('dieselPrice'));
-    const storedConsumption = parseFloat(localStorage.getItem('dieselConsumption'));
-    if (!isNaN(storedPrice)) {
-      dieselPrice = storedPrice;
+  /**
+   * List the newest alarm history entries, open or closed.
+   */
+  function renderAlarmHistory() {
+    const panel = document.getElementById('alarmHistory');
+    if (!panel) return;
+    panel.innerHTML = '';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Histórico de alarmes';
+    panel.appendChild(heading);
+    const entries = Alarms.history().reverse();
+    if (entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'Nenhum alarme registrado.';
+      panel.appendChild(empty);
+      return;
+    }
+    const toolbar = document.createElement('div');
+    toolbar.className = 'event-toolbar';
+    const clearBtn = document.createElement('button');
+    clearBtn.textContent = 'Limpar histórico';
+    clearBtn.addEventListener('click', () => {
+      if (!confirm('Apagar os alarmes encerrados do histórico?')) return;
+      Alarms.clearHistory();
+      renderAlarmHistory();
+    });
+    toolbar.appendChild(clearBtn);
+    panel.appendChild(toolbar);
+    if (entries.length > ALARM_HISTORY_ROWS) {
+      const note = document.createElement('p');
+      note.textContent = `Mostrando os ${ALARM_HISTORY_ROWS} alarmes mais recentes de ${entries.length}.`;
+      panel.appendChild(note);
     }
-    if (!isNaN(storedConsumption)) {
-      dieselConsumption = storedConsumption;
+    panel.appendChild(buildTable(['Motor', 'Alarme', 'Detalhe', 'Início', 'Fim', 'Reconhecido'],
+      entries.slice(0, ALARM_HISTORY_ROWS).map(e => [
+        `${unitName(e.motorId)}`,
+        Alarms.ALARM_LABELS[e.type],
+        e.message,
+        formatDateTime(e.raisedAt),
+        e.clearedAt === null ? 'ativo' : formatDateTime(e.clearedAt),
+        e.acknowledgedAt === null ? '—' : formatDateTime(e.acknowledgedAt)
+      ])));
+  }
+
+  /**
+   * Show the live mode connection status and, once the historian has
+   * been polled, a warning when the newest reading is older than the
+   * configured limit.
+   */
+  function renderLiveStatus() {
+    const statusEl = document.getElementById('liveStatus');
+    const staleEl = document.getElementById('liveStale');
+    staleEl.style.display = 'none';
+    if (!live.timer) {
+      statusEl.className = 'live-status';
+      statusEl.textContent = settings.live.url ? '' : 'Informe o endereço do historiador em Configurações.';
+      return;
     }
-    // Update footer display values to reflect the current configuration
-    const priceDisplay = document.getElementById('dieselPriceDisplay');
-    const consDisplay = document.getElementById('dieselConsumptionDisplay');
-    if (priceDisplay) {
-      priceDisplay.textContent = dieselPrice.toFixed(2);
+    if (live.lastError) {
+      statusEl.className = 'live-status live-error';
+      statusEl.textContent = `● Sem conexão com o historiador (${live.lastError})`;
+    } else if (live.lastPoll === null) {
+      statusEl.className = 'live-status';
+      statusEl.textContent = 'Conectando ao historiador…';
+      return;
+    } else {
+      statusEl.className = 'live-status live-ok';
+      statusEl.textContent = `● Conectado – consultado às ${new Date(live.lastPoll).toLocaleTimeString('pt-BR')}, a cada ${settings.live.intervalSeconds} s`;
     }
-    if (consDisplay) {
-      consDisplay.textContent = dieselConsumption.toFixed(2);
+    const latest = LiveSource.latestTime(tagData);
+    if (latest !== null && Date.now() - latest <= settings.live.staleMinutes * 60000) return;
+    staleEl.textContent = latest === null ?
+      'Dados desatualizados: nenhuma leitura recebida do historiador.' :
+      `Dados desatualizados: a leitura mais recente é de ${formatDateTime(latest)} (há ${formatDuration(Date.now() - latest)}).`;
+    staleEl.style.display = 'block';
+  }
+
+  /**
+   * Add readings received in live mode to the loaded series and redraw.
+   * The range end follows the newest reading while it was showing the
+   * previous newest one, so a range chosen in the past stays put.
+   *
+   * @param {Array<{tag: string, t: number, value: number}>} points see LiveSource.fetchPoints
+   */
+  function applyLivePoints(points) {
+    const previousLatest = LiveSource.latestTime(tagData);
+    const { added, motors, newSeries } = LiveSource.appendPoints(tagData, points, plant);
+    if (added === 0) return;
+    if (newSeries) {
+      const active = selectedMotorIds();
+      const tags = new Set(tagList);
+      Object.keys(tagData).forEach(motorId => Object.keys(tagData[motorId]).forEach(tag => tags.add(tag)));
+      tagList = Array.from(tags).sort();
+      motorData = seriesForTag(settings.tags.availability);
+      if (selectedTags.length === 0) {
+        selectedTags = tagList.includes(settings.tags.availability) ? [settings.tags.availability] : tagList.slice(0, 1);
+      }
+      renderTagSelector();
+      renderMotorButtons(tagData);
+      const buttons = Array.from(document.querySelectorAll('.motor-button:not([disabled])'));
+      buttons.forEach(btn => {
+        if (active.includes(parseInt(btn.dataset.motor, 10))) btn.classList.add('active');
+      });
+      if (active.length === 0 && buttons.length > 0) buttons[0].classList.add('active');
     }
-    // Generate a colour palette of 23 distinct colours
-    colors = [
-      '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f',
-      '#bcbd22', '#17becf', '#393b79', '#637939', '#8c6d31', '#e7ba52', '#31a354', '#3182bd',
-      '#756bb1', '#b94b43', '#6b6ecf', '#9c9ede', '#636363', '#e6550d', '#a55194'
-    ];
-    // Populate motor buttons
-    renderMotorButtons(motorData, colors);
-    // Set time inputs to the min and max timestamps
+    motors.forEach(motorId => {
+      if (motorData[motorId]) {
+        faultCounts[motorId] = detectFaults(motorData[motorId], settings.faultDetection,
+          settings.dataQuality.maxGapMinutes * 60000);
+      }
+    });
     const startInput = document.getElementById('startTime');
     const endInput = document.getElementById('endTime');
-    const dtToLocalValue = (ms) => {
-      const d = new Date(ms);
-      // Format as YYYY-MM-DDTHH:MM (omit seconds)
-      const yyyy = d.getFullYear().toString().padStart(4, '0');
-      const mm = String(d.getMonth() + 1).padStart(2, '0');
-      const dd = String(d.getDate()).padStart(2, '0');
-      const hh = String(d.getHours()).padStart(2, '0');
-      const mi = String(d.getMinutes()).padStart(2, '0');
-      return `${yyyy}-${mm}-${dd}T${hh}:${mi}`;
+    const latest = LiveSource.latestTime(tagData);
+    if (!startInput.value) {
+      // Nothing was loaded before: start at the first reading received
+      const firsts = [];
+      Object.keys(tagData).forEach(motorId => Object.keys(tagData[motorId]).forEach(tag => firsts.push(tagData[motorId][tag][0].t)));
+      startInput.value = toLocalInputValue(Math.min(...firsts));
+    }
+    const { endTime } = getSelectedRange();
+    if (isNaN(endTime) || previousLatest === null || endTime >= previousLatest - 60000) {
+      endInput.value = toLocalInputValue(latest);
+    }
+    document.getElementById('message').style.display = 'none';
+    document.getElementById('mainContent').style.display = 'block';
+    updateChart();
+  }
+
+  /**
+   * Fetch the readings newer than the last one on the page and add
+   * them. A poll is skipped while the previous one is still running.
+   */
+  function pollLive() {
+    if (live.busy) return;
+    live.busy = true;
+    LiveSource.fetchPoints(settings.live.url, LiveSource.latestTime(tagData))
+      .then(points => {
+        live.lastPoll = Date.now();
+        live.lastError = null;
+        applyLivePoints(points);
+      })
+      .catch(ex => {
+        console.error('Erro ao consultar o historiador', ex);
+        live.lastError = ex && ex.message ? ex.message : String(ex);
+      })
+      .finally(() => {
+        live.busy = false;
+        renderLiveStatus();
+        checkAlarms();
+      });
+  }
+
+  /**
+   * Start or stop polling the historian every settings.live.intervalSeconds.
+   *
+   * @param {boolean} on
+   */
+  function setLiveMode(on) {
+    clearInterval(live.timer);
+    live.timer = null;
+    live.lastPoll = null;
+    live.lastError = null;
+    if (on && !settings.live.url) {
+      alert('Informe o endereço do historiador em Configurações para usar o modo ao vivo.');
+      document.getElementById('liveMode').checked = false;
+    } else if (on) {
+      live.timer = setInterval(pollLive, settings.live.intervalSeconds * 1000);
+      pollLive();
+    }
+    renderLiveStatus();
+  }
+
+  /**
+   * Write the view state to the URL hash without adding a history
+   * entry, e.g. #ds=3&dataset=Outubro&motors=7,12&from=2025-10-01T00:00&to=2025-10-08T00:00&view=line.
+   * The dataset goes by id and name, as ids differ between browsers.
+   */
+  function writeHash() {
+    if (!currentDataset) return;
+    const params = new URLSearchParams();
+    params.set('ds', String(currentDataset.id));
+    params.set('dataset', currentDataset.name);
+    params.set('motors', selectedMotorIds().join(','));
+    params.set('tags', selectedTags.join(','));
+    params.set('from', document.getElementById('startTime').value);
+    params.set('to', document.getElementById('endTime').value);
+    params.set('view', currentView);
+    if (currentView === 'heatmap') {
+      params.set('bucket', document.getElementById('heatmapBucket').value);
+    } else if (lineZoom) {
+      params.set('zoom', `${Math.round(lineZoom.from)},${Math.round(lineZoom.to)}`);
+    }
+    if (document.getElementById('compareMode').checked) {
+      params.set('compare', `${document.getElementById('compareStart').value},${document.getElementById('compareEnd').value}`);
+    }
+    // Commas and colons are valid in a fragment and keep the link readable
+    history.replaceState(null, '', `#${params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':')}`);
+  }
+
+  /**
+   * Read the view state written by writeHash.
+   *
+   * @returns {object|null} null when the hash names no dataset
+   */
+  function readHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (!params.has('ds') && !params.has('dataset')) return null;
+    const list = key => (params.get(key) || '').split(',').filter(value => value !== '');
+    const zoom = list('zoom').map(Number);
+    const compare = list('compare');
+    return {
+      datasetId: parseInt(params.get('ds'), 10),
+      datasetName: params.get('dataset') || '',
+      motors: list('motors').map(Number),
+      tags: list('tags'),
+      from: params.get('from') || '',
+      to: params.get('to') || '',
+      view: params.get('view') === 'heatmap' ? 'heatmap' : 'line',
+      bucket: params.get('bucket') === 'hour' ? 'hour' : 'day',
+      zoom: zoom.length === 2 && zoom.every(n => !isNaN(n)) && zoom[1] > zoom[0] ? { from: zoom[0], to: zoom[1] } : null,
+      compare: compare.length === 2 ? { from: compare[0], to: compare[1] } : null
     };
-    startInput.value = dtToLocalValue(minTime);
-    endInput.value = dtToLocalValue(maxTime);
-    // Show main content now that data is ready
-    messageEl.style.display = 'none';
-    mainEl.style.display = 'block';
+  }
+
+  /**
+   * Restore a view read from the URL hash on the loaded dataset and
+   * redraw. Motors and tags the dataset lacks, and invalid ranges, are
+   * left out.
+   *
+   * @param {object} state see readHash
+   */
+  function applyLinkedView(state) {
+    document.querySelectorAll('.motor-button:not([disabled])').forEach(btn => {
+      btn.classList.toggle('active', state.motors.includes(parseInt(btn.dataset.motor, 10)));
+    });
+    const tags = state.tags.filter(tag => tagList.includes(tag));
+    if (tags.length > 0) {
+      selectedTags = tags;
+      renderTagSelector();
+    }
+    const validRange = (from, to) => new Date(to).getTime() > new Date(from).getTime();
+    if (validRange(state.from, state.to)) {
+      document.getElementById('startTime').value = state.from;
+      document.getElementById('endTime').value = state.to;
+    }
+    if (state.compare && validRange(state.compare.from, state.compare.to)) {
+      document.getElementById('compareMode').checked = true;
+      document.getElementById('compareStart').value = state.compare.from;
+      document.getElementById('compareEnd').value = state.compare.to;
+      toggleCompareInputs();
+    }
+    document.getElementById('heatmapBucket').value = state.bucket;
+    lineZoom = state.zoom;
+    setView(state.view);
+  }
+
+  /**
+   * Read the dataset list, pick the current one and load it.
+   *
+   * @returns {Promise<void>}
+   */
+  function refreshDatasets() {
+    return DatasetStore.list().then(datasets => {
+      if (datasets.length === 0) {
+        if (!settings.live.url) {
+          showMessage('Nenhum dado encontrado. Vá para a página de entrada de dados para carregar arquivos CSV.');
+          return;
+        }
+        // The live mode can still fill the page from the historian
+        showMessage('Nenhum dado encontrado. Carregue arquivos CSV na página de entrada de dados ou ative o modo ao vivo.');
+        tagData = {};
+        tagList = [];
+        motorData = {};
+        notes = [];
+        currentDataset = null;
+        renderMotorButtons(tagData);
+        renderDatasetPicker(datasets, null);
+        document.getElementById('mainContent').style.display = 'block';
+        return;
+      }
+      let currentId = DatasetStore.getCurrentId();
+      if (linkedView) {
+        const { datasetId, datasetName } = linkedView;
+        const linked = datasets.find(d => d.id === datasetId && (!datasetName || d.name === datasetName)) ||
+          (datasetName && datasets.find(d => d.name === datasetName));
+        if (linked) {
+          currentId = linked.id;
+          DatasetStore.setCurrentId(currentId);
+        } else {
+          alert(`O conjunto de dados do link${datasetName ? ` (“${datasetName}”)` : ''} não está gravado neste navegador. ` +
+            'Carregue os mesmos arquivos na página de entrada de dados; por enquanto é mostrado o conjunto atual.');
+          linkedView = null;
+        }
+      }
+      let current = datasets.find(d => d.id === currentId);
+      if (!current) {
+        current = datasets[0];
+        currentId = current.id;
+        DatasetStore.setCurrentId(currentId);
+      }
+      renderDatasetPicker(datasets, currentId);
+      return loadDataset(current);
+    });
+  }
+
+  /**
+   * Show the comparison range inputs while comparison mode is on.
+   */
+  function toggleCompareInputs() {
+    const on = document.getElementById('compareMode').checked;
+    document.getElementById('compareRange').style.display = on ? 'flex' : 'none';
+  }
+
+  /**
+   * Initialise the page. Attach control handlers, read the plant
+   * configuration and settings and load the current dataset from
+   * IndexedDB, or the one named in the URL hash.
+   */
+  function init() {
     // Attach updateRange button
     document.getElementById('updateRange').addEventListener('click', () => {
+      lineZoom = null;
+      updateChart();
+    });
+    // Line chart / fleet heatmap switch
+    document.getElementById('viewLine').addEventListener('click', () => setView('line'));
+    document.getElementById('viewHeatmap').addEventListener('click', () => setView('heatmap'));
+    document.getElementById('heatmapBucket').addEventListener('change', () => updateChart());
+    // Comparison mode shows the second range and redraws both periods
+    document.getElementById('compareMode').addEventListener('change', () => {
+      toggleCompareInputs();
       updateChart();
     });
-    // Optionally select the first motor by default for a preview
-    const firstBtn = document.querySelector('.motor-button:not([disabled])');
-    if (firstBtn) {
-      firstBtn.classList.add('active');
+    // Report exports for the selected range
+    document.getElementById('exportCsv').addEventListener('click', () => {
+      const { startTime, endTime } = getSelectedRange();
+      Report.downloadCSV(reportFileName(startTime, endTime, 'csv'), REPORT_HEADERS, buildReportRows(startTime, endTime));
+    });
+    document.getElementById('exportXlsx').addEventListener('click', () => {
+      const { startTime, endTime } = getSelectedRange();
+      Report.downloadXLSX(reportFileName(startTime, endTime, 'xlsx'), [
+        { name: 'Métricas por motor', headers: REPORT_HEADERS, rows: buildReportRows(startTime, endTime) },
+        { name: 'Anotações', headers: NOTE_HEADERS, rows: noteRows(startTime, endTime) }
+      ]);
+    });
+    document.getElementById('printReport').addEventListener('click', printReport);
+    document.getElementById('liveMode').addEventListener('change', (e) => setLiveMode(e.target.checked));
+    // Switching datasets reloads the chart with the chosen upload
+    document.getElementById('datasetPicker').addEventListener('change', (e) => {
+      const id = parseInt(e.target.value, 10);
+      DatasetStore.setCurrentId(id);
+      refreshDatasets().catch(handleLoadError);
+    });
+    document.getElementById('deleteDataset').addEventListener('click', () => {
+      const id = DatasetStore.getCurrentId();
+      if (id === null) return;
+      if (!confirm('Excluir este conjunto de dados? Esta ação não pode ser desfeita.')) return;
+      DatasetStore.remove(id).then(refreshDatasets).catch(handleLoadError);
+    });
+    // A link pasted into the address bar of the open page
+    window.addEventListener('hashchange', () => {
+      linkedView = readHash();
+      if (linkedView) refreshDatasets().catch(handleLoadError);
+    });
+    linkedView = readHash();
+    Plant.load()
+      .then(config => {
+        plant = config;
+        settings = Settings.load(plant);
+        // Show the diesel price history and consumption in the footer
+        const priceDisplay = document.getElementById('dieselPriceDisplay');
+        const consDisplay = document.getElementById('dieselConsumptionDisplay');
+        if (priceDisplay) {
+          priceDisplay.textContent = Settings.describePrices(settings);
+        }
+        if (consDisplay) {
+          consDisplay.textContent = Settings.describeConsumption(settings, plant);
+        }
+        renderLiveStatus();
+        return DatasetStore.migrateLegacy();
+      })
+      .then(refreshDatasets)
+      .catch(handleLoadError);
+  }
+
+  /**
+   * Report a failure to read the dataset store.
+   *
+   * @param {Error} ex
+   */
+  function handleLoadError(ex) {
+    console.error('Erro ao carregar conjunto de dados:', ex);
+    showMessage(`Não foi possível ler os dados armazenados: ${ex && ex.message ? ex.message : ex}`);
+  }
+
+  /**
+   * Build the per-motor metrics report for every motor with data in
+   * the selected range.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {Array<Array<string|number>>}
+   */
+  function buildReportRows(startTime, endTime) {
+    const rows = [];
+    for (const motorId of unitIds()) {
+      if (!motorData[motorId] || motorData[motorId].length === 0) continue;
+      const metrics = metricsFor(motorId, startTime, endTime);
+      const hasHeater = getHeaterIntervals(motorId, startTime, endTime).length > 0;
+      rows.push(Metrics.reportRow(unitName(motorId), hasHeater, metrics));
     }
-    // Draw initial chart
-    updateChart();
+    return rows;
+  }
+
+  /**
+   * File name for an export of the selected range.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {string} extension
+   * @returns {string}
+   */
+  function reportFileName(startTime, endTime, extension) {
+    const day = ms => {
+      const d = new Date(ms);
+      return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    };
+    return `aquecimento_${day(startTime)}_${day(endTime)}.${extension}`;
+  }
+
+  /**
+   * Open the print-ready report: logo, chart snapshot, summary panel
+   * totals, the per-motor table and the notes of the range. The window
+   * opens right away, while the click still allows pop-ups, and gets
+   * the report once the chart snapshot is ready.
+   */
+  function printReport() {
+    const win = Report.openPrintWindow();
+    if (!win) return;
+    const { startTime, endTime } = getSelectedRange();
+    const totals = computeSummary(startTime, endTime);
+    const { heatingMotors, totalLitrosHeating, totalRSHeating, totalDaily } = totals;
+    const summary = [
+      { label: 'Conjunto de dados', value: currentDataset ? currentDataset.name : '' },
+      { label: 'Período', value: `${formatDateTime(startTime)} a ${formatDateTime(endTime)}` },
+      { label: 'Motores com aquecedor elétrico', value: heatingMotors.map(id => `${unitName(id)}`).join(', ') || 'Nenhum' },
+      { label: 'Economia diesel (L)', value: `${totalLitrosHeating.toFixed(2)} L` },
+      { label: 'Economia diesel (R$)', value: `R$ ${totalRSHeating.toFixed(2)}` },
+      { label: 'Projeção economia (motores com aquecedor)', value: `R$ ${totalDaily.toFixed(2)}/dia · R$ ${(totalDaily * 30).toFixed(2)}/mês · R$ ${(totalDaily * 365).toFixed(2)}/ano` },
+      { label: 'Custo de energia dos aquecedores', value: `R$ ${totals.totalEnergyCost.toFixed(2)}` },
+      { label: 'Economia líquida', value: `R$ ${totals.totalNet.toFixed(2)} (R$ ${totals.totalNetDaily.toFixed(2)}/dia)` },
+      { label: 'Retorno dos aquecedores instalados', value: paybackText(totals.totalInstallCost, totals.totalNetDaily) },
+      { label: 'Limites', value: `partida ${settings.thresholds.startTemp}°C, economia ${settings.thresholds.savingsTemp}°C` },
+      { label: 'Preço do diesel', value: Settings.describePrices(settings) },
+      { label: 'Consumo de diesel', value: Settings.describeConsumption(settings, plant) }
+    ];
+    const report = {
+      title: `${plant.name} – Aquecimento dos motores`,
+      subtitle: `Gerado em ${formatDateTime(Date.now())}`,
+      logoSrc: plant.logo,
+      chartImage: null,
+      summary,
+      sections: [{ title: 'Métricas por motor', headers: REPORT_HEADERS, rows: buildReportRows(startTime, endTime) }]
+    };
+    const notesRows = noteRows(startTime, endTime);
+    if (notesRows.length > 0) {
+      report.sections.push({ title: 'Anotações', headers: NOTE_HEADERS, rows: notesRows });
+    }
+    Plotly.toImage('chart', { format: 'png', width: 1100, height: 420 })
+      .then(image => {
+        report.chartImage = image;
+      })
+      .catch(ex => console.error('Erro ao capturar o gráfico:', ex))
+      .then(() => Report.openPrintable(report, win));
   }
 
   // Kick things off when DOM is ready
@@ -0,0 +1,88 @@
+/*
+ * service_worker.js
+ *
+ * Service worker registered by offline.js. It keeps the app shell (the
+ * pages, scripts, styles, images, plant.json and the libraries in
+ * vendor/) in Cache Storage so that index.html, data.html and
+ * settings.html open without a network connection; the datasets are
+ * local already (IndexedDB, see dataset_store.js). Shell files come
+ * from the network first, so an updated site shows up as soon as it is
+ * reachable, and from the cache when it is not. Other requests, such as
+ * the live mode's historian polls, are left alone.
+ *
+ * Bump CACHE_NAME when the list of files changes.
+ */
+
+const CACHE_NAME = 'aquecimento-v2';
+
+// Paths relative to the worker's scope
+const APP_SHELL = [
+  './',
+  'index.html',
+  'data.html',
+  'settings.html',
+  'style.css',
+  'manifest.webmanifest',
+  'plant.json',
+  'plant.js',
+  'settings.js',
+  'report.js',
+  'file_import.js',
+  'data_parser.js',
+  'parse_worker.js',
+  'dataset_store.js',
+  'metrics.js',
+  'live_source.js',
+  'alarms.js',
+  'offline.js',
+  'script.js',
+  'data_script.js',
+  'settings_script.js',
+  'vendor/plotly-2.24.0.min.js',
+  'vendor/papaparse-5.4.1.min.js',
+  'vendor/xlsx-0.20.3.full.min.js',
+  'favicon.png',
+  'icon-192.png',
+  'icon-512.png',
+  'termeletrica-pernambuco-iii-logo.png',
+  'Genset_Verde.png',
+  'Genset_Vermelho.png'
+];
+
+// Absolute URLs of everything this worker answers for
+const CACHED_URLS = new Set(APP_SHELL.map(path => new URL(path, self.registration.scope).href));
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  // Drop the caches of earlier versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  // The query string (e.g. a cache buster) does not select another file
+  const key = request.url.split(/[?#]/)[0];
+  if (request.method !== 'GET' || !CACHED_URLS.has(key)) return;
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(key, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(key).then(cached => cached || Response.error()))
+  );
+});
@@ -0,0 +1,373 @@
+/*
+ * settings.js
+ *
+ * Plant settings shared by every page. The settings live in
+ * localStorage under a single JSON key and are always read through
+ * load(), which fills in defaults for anything missing so that older
+ * saved settings keep working when new options are added. The command
+ * line tool (cli.js) applies a settings file through merge().
+ *
+ * The API is exposed on window.Settings in the browser and as the
+ * module's exports in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./plant.js'));
+  } else {
+    root.Settings = factory(root.Plant);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Plant) {
+
+  const STORAGE_KEY = 'settings';
+
+  /**
+   * Default values. Temperature thresholds are in °C: startTemp is the
+   * minimum block temperature for a motor to count as available (ready
+   * to start), savingsTemp the temperature above which the electric
+   * heater is assumed to replace the diesel pre-heating. maxGapMinutes
+   * is the longest logger silence still treated as continuous data.
+   * faultDetection holds the limits used to flag suspected sensor faults,
+   * coolDown the parameters of the cool-down forecast, diesel the dated
+   * price table and heating consumption used for the savings, heater
+   * and tariff the heater power and electricity prices that are
+   * subtracted from them, live the endpoint polled in live mode and
+   * alarms the rules checked against the newest readings.
+   *
+   * @returns {object}
+   */
+  function defaults() {
+    return {
+      tags: {
+        // Tag whose series the availability and savings are computed
+        // from, e.g. TE402 in SCA07TE402PV; the plant's defaultTag when
+        // read through merge() with a plant configuration
+        availability: 'TE402'
+      },
+      thresholds: {
+        startTemp: 50,
+        savingsTemp: 40,
+        // Per-motor overrides keyed by motor number, e.g. { 7: { startTemp: 48 } }
+        motors: {}
+      },
+      dataQuality: {
+        // Intervals between two samples longer than this count as “no
+        // data” instead of being credited to availability or savings
+        maxGapMinutes: 30
+      },
+      faultDetection: {
+        // Readings outside this range (°C) are impossible for TE402, e.g.
+        // the -3276.8 the historian writes for a broken thermocouple
+        minValid: -20,
+        maxValid: 150,
+        // Faster changes than this (°C per minute) are spikes
+        maxRatePerMinute: 10,
+        // A value that does not move by more than flatlineTolerance °C
+        // for flatlineMinutes is a frozen sensor. The exports have a
+        // 0.1 °C resolution, so only identical readings count, and a
+        // motor held warm by its heater, or a historian repeating its
+        // last value, still moves by a step within six hours while a
+        // dead thermocouple does not
+        flatlineMinutes: 360,
+        flatlineTolerance: 0
+      },
+      coolDown: {
+        // Temperature (°C) a stopped motor without heater settles at
+        ambientTemp: 28,
+        // Hours at the end of the range used to fit the cool-down curve
+        fitHours: 6,
+        // How far ahead (h) the forecast is drawn on the chart
+        forecastHours: 48
+      },
+      diesel: {
+        // Price per litre (R$), each valid from its date (YYYY-MM-DD)
+        // until the next one; the oldest also covers earlier data
+        prices: [{ from: '2025-01-01', price: 5.30 }],
+        // Diesel the pre-heating burns per hour (L/h), with per-motor
+        // overrides keyed by motor number
+        consumption: 6.30,
+        motors: {}
+      },
+      heater: {
+        // Electrical power of each heater (kW) and what buying and
+        // installing one costs (R$), with per-motor overrides keyed by
+        // motor number, e.g. { 7: { powerKw: 15 } }
+        powerKw: 12,
+        installCost: 0,
+        // Share of the installed time the heater is actually switched on (%)
+        dutyPercent: 100,
+        motors: {}
+      },
+      tariff: {
+        // Electricity price (R$/kWh) outside and inside the peak hours,
+        // which run from peakStart to peakEnd (local time, HH:MM)
+        offPeak: 0.45,
+        peak: 1.60,
+        peakStart: '17:30',
+        peakEnd: '20:30',
+        // Peak hours only apply Monday to Friday
+        peakWeekdaysOnly: true
+      },
+      live: {
+        // Historian gateway polled by the live mode of the plotting page
+        // (see live_source.js); empty turns the live mode off
+        url: '',
+        // Seconds between two polls
+        intervalSeconds: 30,
+        // Minutes without a new reading before the data counts as stale
+        staleMinutes: 10
+      },
+      alarms: {
+        // A motor is in alarm when its newest reading is below belowTemp
+        // (°C), when it fell faster than fallRatePerHour (°C/h) over the
+        // last fallWindowMinutes, or when it sent no reading for
+        // noDataMinutes; 0 turns the last two rules off
+        belowTemp: 52,
+        fallRatePerHour: 5,
+        fallWindowMinutes: 60,
+        noDataMinutes: 30,
+        // Per-motor overrides keyed by motor number, e.g. { 7: { belowTemp: 55 } }
+        motors: {},
+        // Browser notification and sound when an alarm is raised
+        notifications: false,
+        sound: true
+      }
+    };
+  }
+
+  /**
+   * Copy saved values over defaults key by key, descending into plain
+   * objects, so that a saved override of one motor keeps the defaults
+   * of the others and of its own unsaved fields. Arrays, such as the
+   * diesel price table, are replaced whole.
+   *
+   * @param {object} target
+   * @param {object} source
+   */
+  function mergeValues(target, source) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    Object.keys(source).forEach(key => {
+      if (isObject(source[key]) && isObject(target[key])) {
+        mergeValues(target[key], source[key]);
+      } else {
+        target[key] = source[key];
+      }
+    });
+  }
+
+  /**
+   * Fill in defaults for everything missing from saved settings. The
+   * saved values are merged key by key (see mergeValues), so a section
+   * saved by an older version keeps the defaults of options added
+   * since. The plant configuration (see plant.js), when given, supplies
+   * the default availability tag and thresholds, plant-wide and per
+   * unit; they apply wherever the saved settings have no value of
+   * their own.
+   *
+   * @param {object|null} stored settings as saved, e.g. read from a file
+   * @param {object} [plant]
+   * @returns {object}
+   */
+  function merge(stored, plant) {
+    const result = defaults();
+    if (plant) {
+      result.tags.availability = plant.defaultTag;
+      result.thresholds.startTemp = plant.thresholds.startTemp;
+      result.thresholds.savingsTemp = plant.thresholds.savingsTemp;
+      plant.units.forEach(unit => {
+        const own = {};
+        if (typeof unit.startTemp === 'number') own.startTemp = unit.startTemp;
+        if (typeof unit.savingsTemp === 'number') own.savingsTemp = unit.savingsTemp;
+        if (Object.keys(own).length > 0) result.thresholds.motors[unit.id] = own;
+      });
+    }
+    if (stored && typeof stored === 'object') {
+      Object.keys(result).forEach(section => {
+        if (stored[section] && typeof stored[section] === 'object') {
+          mergeValues(result[section], stored[section]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Read the settings, filling in defaults for missing values (see
+   * merge).
+   *
+   * @param {object} [plant]
+   * @returns {object}
+   */
+  function load(plant) {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (ex) {
+      console.error('Erro ao ler configurações', ex);
+    }
+    const result = merge(stored, plant);
+    if (!stored || !stored.diesel) {
+      // Single price and consumption saved by older versions of data.html
+      const legacyPrice = parseFloat(localStorage.getItem('dieselPrice'));
+      const legacyConsumption = parseFloat(localStorage.getItem('dieselConsumption'));
+      if (!isNaN(legacyPrice)) result.diesel.prices[0].price = legacyPrice;
+      if (!isNaN(legacyConsumption)) result.diesel.consumption = legacyConsumption;
+    }
+    return result;
+  }
+
+  /**
+   * Persist the settings.
+   *
+   * @param {object} settings
+   */
+  function save(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  }
+
+  /**
+   * Thresholds that apply to one motor: its own override where set,
+   * otherwise the plant-wide value.
+   *
+   * @param {object} settings
+   * @param {number} motorId
+   * @returns {{ startTemp: number, savingsTemp: number }}
+   */
+  function getThresholds(settings, motorId) {
+    const plant = settings.thresholds;
+    const own = plant.motors[motorId] || {};
+    return {
+      startTemp: typeof own.startTemp === 'number' ? own.startTemp : plant.startTemp,
+      savingsTemp: typeof own.savingsTemp === 'number' ? own.savingsTemp : plant.savingsTemp
+    };
+  }
+
+  /**
+   * Diesel consumption (L/h) of one motor: its own value where set,
+   * otherwise the plant-wide value.
+   *
+   * @param {object} settings
+   * @param {number} motorId
+   * @returns {number}
+   */
+  function getConsumption(settings, motorId) {
+    const own = settings.diesel.motors[motorId];
+    return typeof own === 'number' ? own : settings.diesel.consumption;
+  }
+
+  /**
+   * Local midnight of a YYYY-MM-DD date.
+   *
+   * @param {string} value
+   * @returns {number}
+   */
+  function dateToMs(value) {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(y, m - 1, d).getTime();
+  }
+
+  /**
+   * The diesel price table as back-to-back periods in time order. The
+   * first period is open towards the past and the last towards the
+   * future, so every timestamp has a price.
+   *
+   * @param {object} settings
+   * @param {function(string): number} [dayStart] start of a YYYY-MM-DD
+   *   date, local midnight by default
+   * @returns {Array<{from: number, to: number, price: number}>}
+   */
+  function getPricePeriods(settings, dayStart) {
+    const prices = settings.diesel.prices
+      .map(p => ({ from: (dayStart || dateToMs)(p.from), price: p.price }))
+      .sort((a, b) => a.from - b.from);
+    return prices.map((p, i) => ({
+      from: i === 0 ? -Infinity : p.from,
+      to: i + 1 < prices.length ? prices[i + 1].from : Infinity,
+      price: p.price
+    }));
+  }
+
+  /**
+   * Price history for display, oldest first, e.g.
+   * “R$ 5,30 desde 01/01/2025 · R$ 5,85 desde 01/06/2025”.
+   *
+   * @param {object} settings
+   * @returns {string}
+   */
+  function describePrices(settings) {
+    return settings.diesel.prices
+      .slice()
+      .sort((a, b) => dateToMs(a.from) - dateToMs(b.from))
+      .map(p => `R$ ${p.price.toFixed(2).replace('.', ',')} desde ${new Date(dateToMs(p.from)).toLocaleDateString('pt-BR')}`)
+      .join(' · ');
+  }
+
+  /**
+   * Consumption for display: the plant-wide value and the motors with
+   * their own, e.g. “6,30 L/h (UG#07: 6,80 L/h)”.
+   *
+   * @param {object} settings
+   * @param {object} [plant] plant configuration (see plant.js) for the
+   *   unit names
+   * @returns {string}
+   */
+  function describeConsumption(settings, plant) {
+    const format = value => `${value.toFixed(2).replace('.', ',')} L/h`;
+    const own = Object.keys(settings.diesel.motors)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(motorId => `${plant ? Plant.unitName(plant, motorId) : `UG#${String(motorId).padStart(2, '0')}`}: ${format(settings.diesel.motors[motorId])}`);
+    return format(settings.diesel.consumption) + (own.length > 0 ? ` (${own.join(', ')})` : '');
+  }
+
+  /**
+   * Heater power (kW) and installation cost (R$) of one motor: its own
+   * values where set, otherwise the plant-wide values.
+   *
+   * @param {object} settings
+   * @param {number} motorId
+   * @returns {{ powerKw: number, installCost: number }}
+   */
+  function getHeater(settings, motorId) {
+    const plant = settings.heater;
+    const own = plant.motors[motorId] || {};
+    return {
+      powerKw: typeof own.powerKw === 'number' ? own.powerKw : plant.powerKw,
+      installCost: typeof own.installCost === 'number' ? own.installCost : plant.installCost
+    };
+  }
+
+  /**
+   * Alarm rules that apply to one motor: its own values where set,
+   * otherwise the plant-wide ones.
+   *
+   * @param {object} settings
+   * @param {number} motorId
+   * @returns {{ belowTemp: number, fallRatePerHour: number, fallWindowMinutes: number, noDataMinutes: number }}
+   */
+  function getAlarmRules(settings, motorId) {
+    const plant = settings.alarms;
+    const own = plant.motors[motorId] || {};
+    const pick = key => (typeof own[key] === 'number' ? own[key] : plant[key]);
+    return {
+      belowTemp: pick('belowTemp'),
+      fallRatePerHour: pick('fallRatePerHour'),
+      fallWindowMinutes: plant.fallWindowMinutes,
+      noDataMinutes: pick('noDataMinutes')
+    };
+  }
+
+  return {
+    defaults,
+    merge,
+    load,
+    save,
+    getThresholds,
+    getHeater,
+    getAlarmRules,
+    getConsumption,
+    getPricePeriods,
+    describePrices,
+    describeConsumption
+  };
+});
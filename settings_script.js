@@ -0,0 +1,382 @@
+/*
+ * settings_script.js
+ *
+ * This script powers the settings page (settings.html). It fills the
+ * form from the stored settings (see settings.js), including the tag
+ * the availability rules apply to, builds one row per motor for the
+ * per-motor thresholds, diesel consumption and heater data and the
+ * dated diesel price table, and validates and writes every section
+ * (tags, thresholds, data quality, sensor fault limits, cool-down
+ * forecast, diesel, heater, tariff, live mode and alarms) back when
+ * “Salvar configurações” is pressed. The motor rows follow the units of
+ * the plant configuration (see plant.js). Both the plotting page and
+ * the data entry page read these values on load.
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  Plant.load().then(plant => {
+    const settings = Settings.load(plant);
+    // What plant.json supplies; values equal to these are not saved, so
+    // that a later change to plant.json still takes effect
+    const plantDefaults = Settings.merge(null, plant);
+    const startInput = document.getElementById('startTemp');
+    const savingsInput = document.getElementById('savingsTemp');
+    const tableBody = document.getElementById('motorThresholds');
+    const messageEl = document.getElementById('settingsMessage');
+
+    const tagInput = document.getElementById('availabilityTag');
+    tagInput.value = settings.tags.availability;
+    startInput.value = settings.thresholds.startTemp;
+    savingsInput.value = settings.thresholds.savingsTemp;
+    document.getElementById('maxGapMinutes').value = settings.dataQuality.maxGapMinutes;
+    const FAULT_FIELDS = ['minValid', 'maxValid', 'maxRatePerMinute', 'flatlineMinutes', 'flatlineTolerance'];
+    FAULT_FIELDS.forEach(field => {
+      document.getElementById(field).value = settings.faultDetection[field];
+    });
+    const COOLDOWN_FIELDS = ['ambientTemp', 'fitHours', 'forecastHours'];
+    COOLDOWN_FIELDS.forEach(field => {
+      document.getElementById(field).value = settings.coolDown[field];
+    });
+
+    /**
+     * Create a number input for a per-motor override. Empty means the
+     * plant-wide value applies.
+     *
+     * @param {string} id
+     * @param {number|undefined} value
+     * @returns {HTMLInputElement}
+     */
+    function overrideInput(id, value) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = '0.5';
+      input.id = id;
+      input.value = typeof value === 'number' ? value : '';
+      return input;
+    }
+
+    // One row per unit of the plant configuration
+    for (const { id: motorId, name } of plant.units) {
+      const own = settings.thresholds.motors[motorId] || {};
+      const row = document.createElement('tr');
+      const nameCell = document.createElement('td');
+      nameCell.textContent = name;
+      const startCell = document.createElement('td');
+      startCell.appendChild(overrideInput(`startTemp${motorId}`, own.startTemp));
+      const savingsCell = document.createElement('td');
+      savingsCell.appendChild(overrideInput(`savingsTemp${motorId}`, own.savingsTemp));
+      const consumptionCell = document.createElement('td');
+      const consumptionInput = overrideInput(`consumption${motorId}`, settings.diesel.motors[motorId]);
+      consumptionInput.step = '0.01';
+      consumptionInput.min = '0';
+      consumptionCell.appendChild(consumptionInput);
+      const ownHeater = settings.heater.motors[motorId] || {};
+      const powerCell = document.createElement('td');
+      const powerInput = overrideInput(`powerKw${motorId}`, ownHeater.powerKw);
+      powerInput.step = '0.1';
+      powerInput.min = '0';
+      powerCell.appendChild(powerInput);
+      const costCell = document.createElement('td');
+      const costInput = overrideInput(`installCost${motorId}`, ownHeater.installCost);
+      costInput.step = '100';
+      costInput.min = '0';
+      costCell.appendChild(costInput);
+      row.appendChild(nameCell);
+      row.appendChild(startCell);
+      row.appendChild(savingsCell);
+      row.appendChild(consumptionCell);
+      row.appendChild(powerCell);
+      row.appendChild(costCell);
+      tableBody.appendChild(row);
+    }
+
+    // Per-motor alarm rules, blank for the plant-wide value
+    const ALARM_FIELDS = ['belowTemp', 'fallRatePerHour', 'noDataMinutes'];
+    const alarmBody = document.getElementById('alarmMotors');
+    for (const { id: motorId, name } of plant.units) {
+      const own = settings.alarms.motors[motorId] || {};
+      const row = document.createElement('tr');
+      const nameCell = document.createElement('td');
+      nameCell.textContent = name;
+      row.appendChild(nameCell);
+      ALARM_FIELDS.forEach(field => {
+        const cell = document.createElement('td');
+        cell.appendChild(overrideInput(`${field}Alarm${motorId}`, own[field]));
+        row.appendChild(cell);
+      });
+      alarmBody.appendChild(row);
+    }
+
+    const pricesBody = document.getElementById('dieselPrices');
+
+    /**
+     * Append a row to the diesel price table.
+     *
+     * @param {{from: string, price: number}} [entry]
+     */
+    function addPriceRow(entry) {
+      const row = document.createElement('tr');
+      const dateCell = document.createElement('td');
+      const dateInput = document.createElement('input');
+      dateInput.type = 'date';
+      dateInput.className = 'price-from';
+      dateInput.value = entry ? entry.from : '';
+      dateCell.appendChild(dateInput);
+      const priceCell = document.createElement('td');
+      const priceInput = document.createElement('input');
+      priceInput.type = 'number';
+      priceInput.step = '0.01';
+      priceInput.min = '0';
+      priceInput.className = 'price-value';
+      priceInput.value = entry ? entry.price : '';
+      priceCell.appendChild(priceInput);
+      const removeCell = document.createElement('td');
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.textContent = 'Remover';
+      removeBtn.addEventListener('click', () => row.remove());
+      removeCell.appendChild(removeBtn);
+      row.appendChild(dateCell);
+      row.appendChild(priceCell);
+      row.appendChild(removeCell);
+      pricesBody.appendChild(row);
+    }
+
+    document.getElementById('dieselConsumption').value = settings.diesel.consumption;
+    const HEATER_FIELDS = ['powerKw', 'installCost', 'dutyPercent'];
+    HEATER_FIELDS.forEach(field => {
+      document.getElementById(field).value = settings.heater[field];
+    });
+    const TARIFF_FIELDS = ['offPeak', 'peak'];
+    TARIFF_FIELDS.forEach(field => {
+      document.getElementById(field).value = settings.tariff[field];
+    });
+    document.getElementById('peakStart').value = settings.tariff.peakStart;
+    document.getElementById('peakEnd').value = settings.tariff.peakEnd;
+    document.getElementById('peakWeekdaysOnly').checked = settings.tariff.peakWeekdaysOnly;
+    settings.diesel.prices.forEach(addPriceRow);
+    document.getElementById('liveUrl').value = settings.live.url;
+    document.getElementById('intervalSeconds').value = settings.live.intervalSeconds;
+    document.getElementById('staleMinutes').value = settings.live.staleMinutes;
+    document.getElementById('alarmBelowTemp').value = settings.alarms.belowTemp;
+    document.getElementById('fallRatePerHour').value = settings.alarms.fallRatePerHour;
+    document.getElementById('fallWindowMinutes').value = settings.alarms.fallWindowMinutes;
+    document.getElementById('noDataMinutes').value = settings.alarms.noDataMinutes;
+    document.getElementById('alarmSound').checked = settings.alarms.sound;
+    const notificationsInput = document.getElementById('alarmNotifications');
+    notificationsInput.checked = settings.alarms.notifications;
+    // The browser only asks for permission after a user action
+    notificationsInput.addEventListener('change', () => {
+      if (!notificationsInput.checked) return;
+      if (!('Notification' in window)) {
+        alert('Este navegador não oferece notificações.');
+        notificationsInput.checked = false;
+        return;
+      }
+      Notification.requestPermission().then(permission => {
+        if (permission !== 'granted') {
+          alert('As notificações foram bloqueadas no navegador. Libere-as nas permissões do site para recebê-las.');
+          notificationsInput.checked = false;
+        }
+      });
+    });
+    document.getElementById('addDieselPrice').addEventListener('click', () => addPriceRow());
+
+    /**
+     * Read a number input, returning undefined when it is blank or invalid.
+     *
+     * @param {string} id
+     * @returns {number|undefined}
+     */
+    function readNumber(id) {
+      const value = parseFloat(document.getElementById(id).value);
+      return isNaN(value) ? undefined : value;
+    }
+
+    document.getElementById('saveSettings').addEventListener('click', () => {
+      const startTemp = readNumber('startTemp');
+      const savingsTemp = readNumber('savingsTemp');
+      if (startTemp === undefined || savingsTemp === undefined) {
+        alert('Informe os limites de temperatura da usina.');
+        return;
+      }
+      const motors = {};
+      for (const { id: motorId } of plant.units) {
+        const own = {};
+        const fromPlant = plantDefaults.thresholds.motors[motorId] || {};
+        const motorStart = readNumber(`startTemp${motorId}`);
+        const motorSavings = readNumber(`savingsTemp${motorId}`);
+        if (motorStart !== undefined && motorStart !== fromPlant.startTemp) own.startTemp = motorStart;
+        if (motorSavings !== undefined && motorSavings !== fromPlant.savingsTemp) own.savingsTemp = motorSavings;
+        if (Object.keys(own).length > 0) motors[motorId] = own;
+      }
+      settings.thresholds = { motors };
+      if (startTemp !== plantDefaults.thresholds.startTemp) settings.thresholds.startTemp = startTemp;
+      if (savingsTemp !== plantDefaults.thresholds.savingsTemp) settings.thresholds.savingsTemp = savingsTemp;
+      const availabilityTag = tagInput.value.trim().toUpperCase();
+      if (!/^[A-Z]+\d+$/.test(availabilityTag)) {
+        alert('Informe a tag de disponibilidade no formato letras + número, por exemplo TE402.');
+        return;
+      }
+      settings.tags = availabilityTag === plantDefaults.tags.availability ? {} : { availability: availabilityTag };
+      const maxGapMinutes = readNumber('maxGapMinutes');
+      if (maxGapMinutes === undefined || maxGapMinutes <= 0) {
+        alert('Informe um intervalo máximo entre amostras maior que zero.');
+        return;
+      }
+      settings.dataQuality = { maxGapMinutes };
+      const faultDetection = {};
+      for (const field of FAULT_FIELDS) {
+        const value = readNumber(field);
+        if (value === undefined) {
+          alert('Preencha todos os parâmetros de detecção de falhas de sensor.');
+          return;
+        }
+        faultDetection[field] = value;
+      }
+      if (faultDetection.minValid >= faultDetection.maxValid) {
+        alert('A leitura mínima válida deve ser menor que a máxima.');
+        return;
+      }
+      settings.faultDetection = faultDetection;
+      const coolDown = {};
+      for (const field of COOLDOWN_FIELDS) {
+        const value = readNumber(field);
+        if (value === undefined) {
+          alert('Preencha todos os parâmetros da previsão de resfriamento.');
+          return;
+        }
+        coolDown[field] = value;
+      }
+      if (coolDown.fitHours <= 0 || coolDown.forecastHours <= 0) {
+        alert('As horas de ajuste e o horizonte da previsão devem ser maiores que zero.');
+        return;
+      }
+      settings.coolDown = coolDown;
+      const consumption = readNumber('dieselConsumption');
+      if (consumption === undefined || consumption < 0) {
+        alert('Informe o consumo de diesel do aquecimento.');
+        return;
+      }
+      const consumptionByMotor = {};
+      for (const { id: motorId } of plant.units) {
+        const value = readNumber(`consumption${motorId}`);
+        if (value !== undefined) consumptionByMotor[motorId] = value;
+      }
+      const prices = [];
+      for (const row of pricesBody.querySelectorAll('tr')) {
+        const from = row.querySelector('.price-from').value;
+        const price = parseFloat(row.querySelector('.price-value').value);
+        if (!from || isNaN(price) || price < 0) {
+          alert('Preencha a data e o preço de cada linha da tabela de preços do diesel.');
+          return;
+        }
+        if (prices.some(p => p.from === from)) {
+          alert(`Há mais de um preço do diesel para ${from}.`);
+          return;
+        }
+        prices.push({ from, price });
+      }
+      if (prices.length === 0) {
+        alert('Informe ao menos um preço do diesel.');
+        return;
+      }
+      prices.sort((a, b) => a.from.localeCompare(b.from));
+      settings.diesel = { prices, consumption, motors: consumptionByMotor };
+      const heater = { motors: {} };
+      for (const field of HEATER_FIELDS.concat(TARIFF_FIELDS)) {
+        const value = readNumber(field);
+        if (value === undefined || value < 0) {
+          alert('Preencha os dados do aquecedor elétrico e da tarifa de energia.');
+          return;
+        }
+        if (HEATER_FIELDS.includes(field)) heater[field] = value;
+      }
+      if (heater.dutyPercent > 100) {
+        alert('O tempo ligado do aquecedor não pode passar de 100 %.');
+        return;
+      }
+      for (const { id: motorId } of plant.units) {
+        const own = {};
+        const power = readNumber(`powerKw${motorId}`);
+        const cost = readNumber(`installCost${motorId}`);
+        if (power !== undefined) own.powerKw = power;
+        if (cost !== undefined) own.installCost = cost;
+        if (Object.keys(own).length > 0) heater.motors[motorId] = own;
+      }
+      const peakStart = document.getElementById('peakStart').value;
+      const peakEnd = document.getElementById('peakEnd').value;
+      if (!peakStart || !peakEnd || peakStart >= peakEnd) {
+        alert('Informe o horário de ponta com o início antes do fim.');
+        return;
+      }
+      const liveUrl = document.getElementById('liveUrl').value.trim();
+      if (liveUrl && !/^https?:\/\//i.test(liveUrl)) {
+        alert('Informe o endereço do historiador começando com http:// ou https://.');
+        return;
+      }
+      const intervalSeconds = readNumber('intervalSeconds');
+      if (intervalSeconds === undefined || intervalSeconds < 5) {
+        alert('O intervalo entre consultas ao historiador deve ser de pelo menos 5 s.');
+        return;
+      }
+      const staleMinutes = readNumber('staleMinutes');
+      if (staleMinutes === undefined || staleMinutes <= 0) {
+        alert('Informe após quantos minutos sem leitura os dados ficam desatualizados.');
+        return;
+      }
+      settings.heater = heater;
+      settings.tariff = {
+        offPeak: readNumber('offPeak'),
+        peak: readNumber('peak'),
+        peakStart,
+        peakEnd,
+        peakWeekdaysOnly: document.getElementById('peakWeekdaysOnly').checked
+      };
+      settings.live = { url: liveUrl, intervalSeconds, staleMinutes };
+      const belowTemp = readNumber('alarmBelowTemp');
+      const fallRatePerHour = readNumber('fallRatePerHour');
+      const fallWindowMinutes = readNumber('fallWindowMinutes');
+      const noDataMinutes = readNumber('noDataMinutes');
+      if (belowTemp === undefined || fallRatePerHour === undefined || fallRatePerHour < 0 ||
+          noDataMinutes === undefined || noDataMinutes < 0) {
+        alert('Preencha as regras de alarme da usina (queda e falta de dados não podem ser negativas).');
+        return;
+      }
+      if (fallWindowMinutes === undefined || fallWindowMinutes < 5) {
+        alert('A janela usada para medir a queda deve ter pelo menos 5 min.');
+        return;
+      }
+      const alarmMotors = {};
+      for (const { id: motorId, name } of plant.units) {
+        const own = {};
+        for (const field of ALARM_FIELDS) {
+          const value = readNumber(`${field}Alarm${motorId}`);
+          if (value === undefined) continue;
+          if (field !== 'belowTemp' && value < 0) {
+            alert(`As regras de alarme de ${name} não podem ter queda ou falta de dados negativas.`);
+            return;
+          }
+          own[field] = value;
+        }
+        if (Object.keys(own).length > 0) alarmMotors[motorId] = own;
+      }
+      settings.alarms = {
+        belowTemp,
+        fallRatePerHour,
+        fallWindowMinutes,
+        noDataMinutes,
+        motors: alarmMotors,
+        notifications: notificationsInput.checked,
+        sound: document.getElementById('alarmSound').checked
+      };
+      try {
+        Settings.save(settings);
+        messageEl.textContent = `Configurações salvas em ${new Date().toLocaleString('pt-BR')}.`;
+      } catch (ex) {
+        console.error('Erro ao armazenar configurações', ex);
+        alert('Não foi possível salvar as configurações.');
+      }
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/*
+ * Tests of the alarm rules and history in alarms.js, a browser module
+ * loaded here with a window and localStorage of its own.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const store = new Map();
+global.window = global;
+global.localStorage = {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key)
+};
+require('../alarms.js');
+const Alarms = global.window.Alarms;
+
+const MINUTE = 60000;
+const start = Date.UTC(2025, 9, 13, 9, 0);
+const rules = { belowTemp: 52, fallRatePerHour: 5, fallWindowMinutes: 60, noDataMinutes: 30 };
+
+test('evaluate dates each condition by the readings that raised it', () => {
+  const data = [{ t: start, value: 55 }, { t: start + 10 * MINUTE, value: 51 }];
+  const conditions = Alarms.evaluate(data, rules, start + 60 * MINUTE);
+  assert.deepEqual(conditions.map(c => [c.type, c.t]), [
+    ['noData', start + 40 * MINUTE],
+    ['below', start + 10 * MINUTE]
+  ]);
+});
+
+test('reconcile stamps the history with the time of the readings', () => {
+  store.clear();
+  const raisedAt = start + 10 * MINUTE;
+  const first = Alarms.reconcile([{ motorId: 7, type: 'below', message: '51,0 °C', t: raisedAt }], raisedAt);
+  assert.equal(first.raised.length, 1);
+  assert.equal(first.raised[0].raisedAt, raisedAt);
+  // Still open on the next check: nothing new is raised
+  const again = Alarms.reconcile([{ motorId: 7, type: 'below', message: '50,5 °C', t: raisedAt + MINUTE }], raisedAt + MINUTE);
+  assert.equal(again.raised.length, 0);
+  Alarms.reconcile([], raisedAt + 20 * MINUTE);
+  const [entry] = Alarms.history();
+  assert.equal(entry.message, '50,5 °C');
+  assert.equal(entry.raisedAt, raisedAt);
+  assert.equal(entry.clearedAt, raisedAt + 20 * MINUTE);
+});
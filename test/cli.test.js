@@ -0,0 +1,135 @@
+/*
+ * Tests of the command line tool (cli.js) on the sample exports in
+ * fixtures/.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs, run } = require('../cli.js');
+const Plant = require('../plant.js');
+const Settings = require('../settings.js');
+const FileImport = require('../file_import.js');
+const DataParser = require('../data_parser.js');
+const Metrics = require('../metrics.js');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+test('parseArgs reads options and files', () => {
+  const args = parseArgs(['--price', '5,30', '--format', 'csv', 'a.csv', 'b.csv']);
+  assert.equal(args.price, '5,30');
+  assert.equal(args.format, 'csv');
+  assert.equal(args.timeZone, 'America/Recife');
+  assert.deepEqual(args.files, ['a.csv', 'b.csv']);
+  assert.throws(() => parseArgs(['--nada']), /Opção desconhecida/);
+  assert.throws(() => parseArgs(['--price']), /Falta o valor/);
+  assert.throws(() => parseArgs(['--format', 'xml']), /Formato de saída inválido/);
+  assert.throws(() => parseArgs(['--time-zone', 'Marte/Olympus']), /Fuso horário inválido/);
+});
+
+test('run computes the metrics of every motor in the exports', () => {
+  const report = run(parseArgs([
+    '--heaters', fixture('heaters.json'), '--price', '5.30', fixture('recife_dmy.csv')
+  ]));
+  assert.equal(report.from, Date.UTC(2025, 9, 13, 9, 0));
+  assert.equal(report.to, Date.UTC(2025, 9, 13, 11, 0));
+  assert.equal(report.files[0].dateFormat, 'dmy');
+  assert.equal(report.files[0].added, 26);
+  assert.deepEqual(report.motors.map(m => m.name), ['UG#07', 'UG#08']);
+  const [ug07, ug08] = report.motors;
+  assert.equal(ug07.heater, true);
+  assert.equal(ug07.availabilityMs, 2 * 3600000);
+  // The heater was installed at 07:00 Recife time, one hour of savings
+  assert.ok(Math.abs(ug07.economiaLitros - 6.3) < 1e-9);
+  assert.ok(Math.abs(ug07.economiaRS - 33.39) < 1e-9);
+  assert.equal(ug07.energiaKWh, 12);
+  assert.equal(ug08.heater, false);
+  assert.equal(ug08.availabilityMs, 0);
+  assert.equal(ug08.lastTemperature, 38);
+  assert.ok(Math.abs(report.totals.economiaRS - 33.39) < 1e-9);
+});
+
+test('run merges several exports and honours the consumption option', () => {
+  const report = run(parseArgs([
+    '--heaters', fixture('heaters.json'), '--price', '5', '--consumption', '6',
+    fixture('recife_dmy.csv'), fixture('later_mdy.csv')
+  ]));
+  assert.equal(report.to, Date.UTC(2025, 9, 13, 11, 20));
+  assert.equal(report.quality.duplicates, 1);
+  const ug07 = report.motors.find(m => m.motor === 7);
+  assert.ok(Math.abs(ug07.economiaLitros - 8) < 1e-9);
+  assert.ok(Math.abs(ug07.economiaRS - 40) < 1e-9);
+});
+
+test('run reads the range in the exports\' time zone', () => {
+  const report = run(parseArgs([
+    '--heaters', fixture('heaters.json'), '--price', '5.30',
+    '--from', '2025-10-13T07:00', '--to', '2025-10-13T07:30', fixture('recife_dmy.csv')
+  ]));
+  assert.equal(report.from, Date.UTC(2025, 9, 13, 10, 0));
+  assert.equal(report.to, Date.UTC(2025, 9, 13, 10, 30));
+  assert.equal(report.motors[0].availabilityMs, 30 * 60000);
+});
+
+test('the report does not depend on the time zone of the machine', () => {
+  const output = timeZone => JSON.parse(execFileSync(process.execPath, [
+    path.join(__dirname, '..', 'cli.js'), '--heaters', fixture('heaters.json'), '--price', '5.30', fixture('recife_dmy.csv')
+  ], { env: Object.assign({}, process.env, { TZ: timeZone }) }));
+  const utc = output('UTC');
+  assert.deepEqual(output('America/Recife'), utc);
+  assert.deepEqual(output('Asia/Tokyo'), utc);
+  assert.ok(Math.abs(utc.motors[0].economiaRS - 33.39) < 1e-9);
+});
+
+test('the plotting page\'s metrics path gives the figures of the CLI', () => {
+  // Peak hours over part of the export and a price change on its day
+  const stored = {
+    tariff: { peakStart: '06:30', peakEnd: '07:30', peakWeekdaysOnly: true },
+    diesel: { prices: [{ from: '2000-01-01', price: 5 }, { from: '2025-10-13', price: 6 }] }
+  };
+  const settingsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'aquecimento-')), 'settings.json');
+  fs.writeFileSync(settingsFile, JSON.stringify(stored));
+  const cli = run(parseArgs(['--settings', settingsFile, '--heaters', fixture('heaters.json'), fixture('recife_dmy.csv')]));
+
+  // As script.js does: files stored with their source zone, heater
+  // periods as timestamps (see data_script.js) and the dataset's zone
+  // for the metrics
+  const plant = Plant.normalise(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'plant.json'), 'utf8')));
+  const settings = Settings.merge(stored, plant);
+  const { text } = FileImport.decodeText(fs.readFileSync(fixture('recife_dmy.csv')));
+  const delimiter = FileImport.detectDelimiter(text);
+  const files = [{
+    text,
+    delimiter,
+    dateFormat: 'auto',
+    timeZone: 'America/Recife',
+    mapping: FileImport.detectMapping(FileImport.parseRows(text, delimiter, 1).fields, plant)
+  }];
+  const { tagData, minTime, maxTime } = DataParser.buildDataStructure(
+    files.map(f => FileImport.parseRows(f.text, f.delimiter).rows),
+    files.map(f => ({ dateFormat: f.dateFormat, timeZone: f.timeZone, mapping: f.mapping })),
+    plant
+  );
+  const heaterPeriods = [{ motor: 7, from: DataParser.zonedTime(Date.UTC(2025, 9, 13, 7, 0), 'America/Recife'), to: null }];
+  const series = tagData[7].TE402;
+  Metrics.detectFaults(series, settings.faultDetection, settings.dataQuality.maxGapMinutes * 60000);
+  const page = Metrics.computeMetrics(series, minTime, maxTime,
+    Metrics.metricsOptions(settings, heaterPeriods, 7, minTime, maxTime, DataParser.datasetTimeZone(files)));
+
+  const ug07 = cli.motors.find(m => m.motor === 7);
+  // One saved hour at R$ 6, half of it in the peak hours
+  assert.ok(Math.abs(ug07.economiaRS - 6.3 * 6) < 1e-9);
+  assert.ok(Math.abs(ug07.custoEnergia - 12 * (0.5 * 1.60 + 0.5 * 0.45)) < 1e-9);
+  assert.equal(page.economiaRS, ug07.economiaRS);
+  assert.equal(page.custoEnergia, ug07.custoEnergia);
+  assert.equal(page.availabilityMs, ug07.availabilityMs);
+});
+
+test('run rejects missing files and empty ranges', () => {
+  assert.throws(() => run(parseArgs([])), /Informe ao menos um arquivo/);
+  assert.throws(() => run(parseArgs(['--to', '2000-01-01T00:00', fixture('recife_dmy.csv')])), /fim do intervalo/);
+  assert.throws(() => run(parseArgs(['--heaters', fixture('ausente.json'), fixture('recife_dmy.csv')])), /Não foi possível ler/);
+});
@@ -0,0 +1,93 @@
+/*
+ * Tests of data_parser.js against the sample exports in fixtures/.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Plant = require('../plant.js');
+const FileImport = require('../file_import.js');
+const DataParser = require('../data_parser.js');
+
+const plant = Plant.normalise(Plant.fallback());
+
+/**
+ * Rows and detected column mapping of a sample export.
+ *
+ * @param {string} name file name in fixtures/
+ * @returns {{rows: Array<object>, mapping: object}}
+ */
+function readFixture(name) {
+  const { text } = FileImport.decodeText(fs.readFileSync(path.join(__dirname, 'fixtures', name)));
+  const delimiter = FileImport.detectDelimiter(text);
+  const { fields } = FileImport.parseRows(text, delimiter, 1);
+  return { rows: FileImport.parseRows(text, delimiter).rows, mapping: FileImport.detectMapping(fields, plant) };
+}
+
+test('detectDateFormat tells the day and month apart', () => {
+  assert.equal(DataParser.detectDateFormat(['12/10/2025', '13/10/2025']), 'dmy');
+  assert.equal(DataParser.detectDateFormat(['10/12/25', '10/13/25']), 'mdy');
+  assert.equal(DataParser.detectDateFormat(['2025-10-13', '2025-10-14']), 'iso');
+});
+
+test('detectDateFormat uses the order of the rows when no day is above 12', () => {
+  // Read as dd/mm the dates run forward, read as mm/dd they jump back
+  assert.equal(DataParser.detectDateFormat(['11/03/2025', '12/03/2025', '01/04/2025']), 'dmy');
+  assert.equal(DataParser.detectDateFormat(['03/11/2025', '03/12/2025', '04/01/2025']), 'mdy');
+  assert.equal(DataParser.detectDateFormat([]), 'mdy');
+});
+
+test('parseTimestamp reads the wall clock of the given time zone', () => {
+  assert.equal(DataParser.parseTimestamp('13/10/2025', '06:00:00', 'dmy', 'America/Recife'), Date.UTC(2025, 9, 13, 9, 0));
+  assert.equal(DataParser.parseTimestamp('10/13/25', '06:00', 'mdy', 'UTC'), Date.UTC(2025, 9, 13, 6, 0));
+  assert.equal(DataParser.parseTimestamp('2025-10-13', '06:00:30,5', 'iso', 'UTC'), Date.UTC(2025, 9, 13, 6, 0, 30, 500));
+  // Across a DST change: São Paulo was on -02:00 in January 2018
+  assert.equal(DataParser.parseTimestamp('15/01/2018', '12:00', 'dmy', 'America/Sao_Paulo'), Date.UTC(2018, 0, 15, 14, 0));
+});
+
+test('parseTimestamp rejects invalid dates and times', () => {
+  assert.equal(DataParser.parseTimestamp('13/13/2025', '06:00', 'dmy', 'UTC'), null);
+  assert.equal(DataParser.parseTimestamp('13/10/2025', '24:00', 'dmy', 'UTC'), null);
+  assert.equal(DataParser.parseTimestamp('13/10/2025', '', 'dmy', 'UTC'), null);
+  assert.equal(DataParser.parseTimestamp('hoje', '06:00', 'dmy', 'UTC'), null);
+});
+
+test('buildDataStructure merges the exports into one series per motor and tag', () => {
+  const first = readFixture('recife_dmy.csv');
+  const second = readFixture('later_mdy.csv');
+  const { tagData, tags, minTime, maxTime, stats, quality } = DataParser.buildDataStructure(
+    [first.rows, second.rows],
+    [
+      { dateFormat: 'auto', timeZone: 'America/Recife', mapping: first.mapping },
+      { dateFormat: 'auto', timeZone: 'America/Recife', mapping: second.mapping }
+    ],
+    plant
+  );
+  assert.deepEqual(tags, ['TE402']);
+  assert.deepEqual(stats.map(s => s.dateFormat), ['dmy', 'mdy']);
+  assert.equal(minTime, Date.UTC(2025, 9, 13, 9, 0));
+  assert.equal(maxTime, Date.UTC(2025, 9, 13, 11, 20));
+  // 08:00 repeats the first file's value, 08:10 and 08:20 are new
+  assert.deepEqual(stats[1], { added: 2, replaced: 0, skipped: 1, dateFormat: 'mdy' });
+  assert.equal(quality.duplicates.count, 1);
+  assert.equal(tagData[7].TE402.length, 15);
+  assert.equal(tagData[8].TE402.length, 13);
+  assert.deepEqual(tagData[7].TE402[1], { t: Date.UTC(2025, 9, 13, 9, 10), value: 55.4 });
+  const times = tagData[7].TE402.map(p => p.t);
+  assert.deepEqual(times, times.slice().sort((a, b) => a - b));
+});
+
+test('buildDataStructure reports rows and cells it cannot read', () => {
+  const rows = [
+    { Date: '13/10/2025', Time: '06:00', SCA07TE402: '55,0' },
+    { Date: '31/02/2025x', Time: 'meio-dia', SCA07TE402: '55,0' },
+    { Date: '13/10/2025', Time: '06:10', SCA07TE402: '#N/D' }
+  ];
+  const { tagData, quality } = DataParser.buildDataStructure([rows], [{ dateFormat: 'dmy', timeZone: 'UTC' }], plant);
+  assert.equal(quality.invalidDates.count, 1);
+  assert.equal(quality.invalidDates.samples[0].line, 3);
+  assert.equal(quality.invalidValues.count, 1);
+  assert.equal(quality.invalidValues.samples[0].value, '#N/D');
+  assert.equal(tagData[7].TE402.length, 1);
+});
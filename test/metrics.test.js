@@ -0,0 +1,146 @@
+/*
+ * Tests of the availability and savings calculation in metrics.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Settings = require('../settings.js');
+const Metrics = require('../metrics.js');
+
+const HOUR = 3600000;
+const start = Date.UTC(2025, 9, 13, 9, 0);
+
+/**
+ * A series sampled every ten minutes.
+ *
+ * @param {number[]} values
+ * @returns {Array<{t: number, value: number}>}
+ */
+function series(values) {
+  return values.map((value, i) => ({ t: start + i * 600000, value }));
+}
+
+/**
+ * computeMetrics options for motor 7 with the default settings, the
+ * diesel at R$ 5,00 and consumption at 6 L/h.
+ *
+ * @param {Array<{motor: number, from: number|null, to: number|null}>} heaterPeriods
+ * @param {number} endTime
+ * @returns {object}
+ */
+function options(heaterPeriods, endTime) {
+  const settings = Settings.defaults();
+  settings.diesel.prices = [{ from: '2000-01-01', price: 5 }];
+  settings.diesel.consumption = 6;
+  return Metrics.metricsOptions(settings, heaterPeriods, 7, start, endTime);
+}
+
+test('computeMetrics credits availability and savings above the thresholds', () => {
+  // Two hours at 55 °C, then one at 45 °C (saving but not available)
+  const data = series([55, 55.2, 55, 55.2, 55, 55.2, 55, 45, 45.2, 45, 45.2, 45, 45.2]);
+  const end = start + 2 * HOUR;
+  const metrics = Metrics.computeMetrics(data, start, end, options([{ motor: 7, from: null, to: null }], end));
+  assert.equal(metrics.availabilityMs, HOUR);
+  assert.equal(metrics.availability, '01:00 h');
+  assert.equal(metrics.economiaLitros, 12);
+  assert.equal(metrics.economiaRS, 60);
+  assert.equal(metrics.projectionBasisMs, 2 * HOUR);
+  assert.equal(metrics.economiaDia, 720);
+  // 12 kW for two off-peak hours at R$ 0,45/kWh
+  assert.equal(metrics.energiaKWh, 24);
+  assert.ok(Math.abs(metrics.custoEnergia - 10.8) < 1e-9);
+  assert.ok(Math.abs(metrics.economiaLiquida - 49.2) < 1e-9);
+  assert.equal(metrics.lastTemperature, 45.2);
+  assert.equal(metrics.coverage, 1);
+});
+
+test('computeMetrics only counts savings while the heater is installed', () => {
+  const data = series([55, 55.2, 55, 55.2, 55, 55.2, 55]);
+  const end = start + HOUR;
+  const metrics = Metrics.computeMetrics(data, start, end, options([{ motor: 7, from: start + HOUR / 2, to: null }], end));
+  assert.equal(metrics.availabilityMs, HOUR);
+  assert.equal(metrics.economiaLitros, 3);
+  assert.equal(metrics.projectionBasisMs, HOUR / 2);
+  const without = Metrics.computeMetrics(data, start, end, options([], end));
+  assert.equal(without.economiaRS, 0);
+  assert.equal(without.energiaKWh, 0);
+});
+
+test('computeMetrics leaves out data gaps and suspected sensor faults', () => {
+  // Forty minutes without data, longer than the default 30 min gap
+  const data = series([55, 55.2, 55]).concat(series([55.2, 55, 55.2]).map(p => ({ t: p.t + HOUR, value: p.value })));
+  const end = start + HOUR + 20 * 60000;
+  const metrics = Metrics.computeMetrics(data, start, end, options([], end));
+  assert.equal(metrics.availabilityMs, 40 * 60000);
+  assert.ok(Math.abs(metrics.coverage - 40 / 80) < 1e-9);
+
+  const faulty = series([55, 55.2, -3276.8, 55.2, 55]);
+  const counts = Metrics.detectFaults(faulty, Settings.defaults().faultDetection);
+  assert.equal(counts.range, 1);
+  const withFault = Metrics.computeMetrics(faulty, start, start + 40 * 60000, options([], start + 40 * 60000));
+  assert.equal(withFault.faultCount, 1);
+  assert.equal(withFault.availabilityMs, 40 * 60000);
+});
+
+test('computeMetrics returns zeros without data in the range', () => {
+  const metrics = Metrics.computeMetrics([], start, start + HOUR, options([], start + HOUR));
+  assert.equal(metrics.availabilityMs, 0);
+  assert.equal(metrics.lastTemperature, null);
+  assert.equal(metrics.coverage, 0);
+});
+
+test('peakMs follows the clock of the given time zone', () => {
+  const tariff = Settings.defaults().tariff;
+  // Monday 13/10/2025, 20:00 to 24:00 UTC
+  const from = Date.UTC(2025, 9, 13, 20, 0);
+  const to = Date.UTC(2025, 9, 14, 0, 0);
+  // 17:30 to 20:30 in Recife is 20:30 to 23:30 UTC
+  assert.equal(Metrics.peakMs(from, to, tariff, 'America/Recife'), 3 * HOUR);
+  assert.equal(Metrics.peakMs(from, to, tariff, 'UTC'), HOUR / 2);
+  // Saturday
+  assert.equal(Metrics.peakMs(from + 5 * 24 * HOUR, to + 5 * 24 * HOUR, tariff, 'America/Recife'), 0);
+});
+
+test('metricsOptions starts each diesel price at midnight of the time zone', () => {
+  const settings = Settings.defaults();
+  settings.diesel.prices = [{ from: '2000-01-01', price: 5 }, { from: '2025-10-14', price: 6 }];
+  const { pricePeriods, timeZone } = Metrics.metricsOptions(settings, [], 7, start, start + HOUR, 'America/Recife');
+  assert.equal(timeZone, 'America/Recife');
+  assert.equal(pricePeriods[1].from, Date.UTC(2025, 9, 14, 3, 0));
+});
+
+test('computeMetrics counts the part of the sample intervals across the ends of the range', () => {
+  // Samples every ten minutes, split at 09:25, in the middle of an interval
+  const data = series([55, 55.2, 55, 55.2, 55, 55.2, 55]);
+  const end = start + HOUR;
+  const split = start + 25 * 60000;
+  const heaters = [{ motor: 7, from: null, to: null }];
+  const whole = Metrics.computeMetrics(data, start, end, options(heaters, end));
+  const first = Metrics.computeMetrics(data, start, split, options(heaters, split));
+  const second = Metrics.computeMetrics(data, split, end, options(heaters, end));
+  assert.equal(first.availabilityMs, 25 * 60000);
+  assert.equal(first.coverage, 1);
+  assert.equal(second.availabilityMs, 35 * 60000);
+  assert.equal(second.coverage, 1);
+  assert.equal(first.availabilityMs + second.availabilityMs, whole.availabilityMs);
+  assert.ok(Math.abs(first.economiaRS + second.economiaRS - whole.economiaRS) < 1e-9);
+});
+
+test('detectFaults leaves a steady but live sensor alone', () => {
+  const limits = Settings.defaults().faultDetection;
+  // Eight hours held at 60 °C by the heater, moving by one 0.1 °C step
+  const steady = Array.from({ length: 49 }, (_, i) => ({ t: start + i * 600000, value: i % 7 === 0 ? 60.1 : 60 }));
+  assert.equal(Metrics.detectFaults(steady, limits, 30 * 60000).flatline, 0);
+  // The same hours without any change are a frozen sensor
+  const frozen = steady.map(p => ({ t: p.t, value: 60 }));
+  assert.equal(Metrics.detectFaults(frozen, limits, 30 * 60000).flatline, 49);
+});
+
+test('detectFaults ends a flatline run at a gap in the data', () => {
+  const limits = Object.assign(Settings.defaults().faultDetection, { flatlineMinutes: 120 });
+  // Equal readings an hour before and an hour after a six hour hole
+  const data = series([60, 60, 60, 60, 60, 60, 60])
+    .concat(series([60, 60, 60, 60, 60, 60, 60]).map(p => ({ t: p.t + 7 * HOUR, value: p.value })));
+  assert.equal(Metrics.detectFaults(data, limits, 30 * 60000).flatline, 0);
+  assert.equal(Metrics.detectFaults(data, limits).flatline, 14);
+});
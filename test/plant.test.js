@@ -0,0 +1,32 @@
+/*
+ * Tests of the plant configuration in plant.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Plant = require('../plant.js');
+
+test('normalise fills in the optional fields', () => {
+  const plant = Plant.normalise({
+    groups: [{ id: 'g', name: 'Grupo' }],
+    units: [{ id: '2' }, { id: 1, name: 'Motor 1', color: '#000000' }]
+  });
+  assert.equal(plant.tagPattern, Plant.fallback().tagPattern);
+  assert.equal(plant.defaultTag, 'TE402');
+  assert.deepEqual(plant.units.map(u => u.name), ['Motor 1', 'UG#02']);
+  assert.equal(plant.units[1].color, '#999999');
+});
+
+test('parseColumn splits historian columns into unit and tag', () => {
+  const plant = Plant.normalise({ groups: [{ id: 'g', name: 'Grupo' }], units: [{ id: 7 }] });
+  assert.deepEqual(Plant.parseColumn(plant, 'SCA07TE402PV'), { motorId: 7, tag: 'TE402' });
+  assert.deepEqual(Plant.parseColumn(plant, 'SCA07TT101'), { motorId: 7, tag: 'TT101' });
+  assert.deepEqual(Plant.parseColumn(plant, 'SCA07'), { motorId: 7, tag: 'TE402' });
+  assert.equal(Plant.parseColumn(plant, 'Date'), null);
+});
+
+test('normalise rejects configurations without units or groups', () => {
+  assert.throws(() => Plant.normalise({ groups: [{ id: 'g' }], units: [] }), /units/);
+  assert.throws(() => Plant.normalise({ units: [{ id: 1 }] }), /groups/);
+  assert.throws(() => Plant.normalise({ groups: [{ id: 'g' }], units: [{ name: 'X' }] }), /Unidade sem número/);
+});
@@ -0,0 +1,50 @@
+/*
+ * Tests of how settings.js combines saved settings with the defaults
+ * and the plant configuration.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Plant = require('../plant.js');
+const Settings = require('../settings.js');
+
+/**
+ * The fallback plant with another default tag and a per-unit
+ * threshold for UG#07, as a sister plant's plant.json might have.
+ *
+ * @returns {object}
+ */
+function sisterPlant() {
+  const config = Plant.fallback();
+  config.defaultTag = 'TE501';
+  config.units[6].startTemp = 48;
+  return Plant.normalise(config);
+}
+
+test('merge takes the availability tag from the plant', () => {
+  assert.equal(Settings.merge(null, sisterPlant()).tags.availability, 'TE501');
+  assert.equal(Settings.merge({ tags: {} }, sisterPlant()).tags.availability, 'TE501');
+  assert.equal(Settings.merge({ tags: { availability: 'TE402' } }, sisterPlant()).tags.availability, 'TE402');
+  assert.equal(Settings.merge(null).tags.availability, 'TE402');
+});
+
+test('merge keeps the per-unit values of the plant next to saved overrides', () => {
+  const settings = Settings.merge({
+    thresholds: { startTemp: 51, motors: { 7: { savingsTemp: 41 }, 8: { startTemp: 55 } } }
+  }, sisterPlant());
+  assert.equal(settings.thresholds.startTemp, 51);
+  assert.equal(settings.thresholds.savingsTemp, 40);
+  assert.deepEqual(Settings.getThresholds(settings, 7), { startTemp: 48, savingsTemp: 41 });
+  assert.deepEqual(Settings.getThresholds(settings, 8), { startTemp: 55, savingsTemp: 40 });
+});
+
+test('merge fills options missing from older saved sections and replaces lists whole', () => {
+  const settings = Settings.merge({
+    alarms: { belowTemp: 60 },
+    diesel: { prices: [{ from: '2025-06-01', price: 6 }] }
+  });
+  assert.equal(settings.alarms.belowTemp, 60);
+  assert.equal(settings.alarms.noDataMinutes, 30);
+  assert.deepEqual(settings.diesel.prices, [{ from: '2025-06-01', price: 6 }]);
+  assert.equal(settings.diesel.consumption, 6.30);
+});